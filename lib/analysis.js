@@ -0,0 +1,211 @@
+// Chart analysis: dignities, sect, rulerships, dispositors, receptions, and
+// element/modality balance, derived from a calculated chart.
+const { SIGNS, normalizeDegrees } = require("./zodiac");
+const { isDayChart } = require("./bodies");
+const {
+  CLASSICAL_PLANETS,
+  EXALTATIONS,
+  ELEMENTS,
+  MODALITIES,
+  getElement,
+  getModality,
+  getSignRuler,
+  getEssentialDignities,
+} = require("./dignities");
+
+// Bodies counted in the element and modality balance (plus the Ascendant).
+const BALANCE_BODIES = [
+  ...CLASSICAL_PLANETS,
+  "Uranus",
+  "Neptune",
+  "Pluto",
+];
+
+const DIURNAL_PLANETS = ["Sun", "Jupiter", "Saturn"];
+
+/**
+ * Describes the chart's sect and whether each classical planet belongs to it.
+ * Mercury is diurnal when it rises before the Sun (oriental) and nocturnal otherwise.
+ */
+const describeSect = (positions, isDay) => {
+  const mercury = positions.Mercury;
+  const sun = positions.Sun;
+  const mercuryOriental =
+    mercury && sun
+      ? ((sun.longitude - mercury.longitude + 360) % 360) < 180
+      : null;
+
+  const planets = {};
+  for (const planet of CLASSICAL_PLANETS) {
+    if (!positions[planet]) continue;
+    const sect =
+      planet === "Mercury"
+        ? mercuryOriental ? "diurnal" : "nocturnal"
+        : DIURNAL_PLANETS.includes(planet) ? "diurnal" : "nocturnal";
+    planets[planet] = { sect, inSect: (sect === "diurnal") === isDay };
+  }
+
+  return {
+    chart: isDay ? "day" : "night",
+    luminary: isDay ? "Sun" : "Moon",
+    benefic: isDay ? "Jupiter" : "Venus",
+    malefic: isDay ? "Saturn" : "Mars",
+    contraryBenefic: isDay ? "Venus" : "Jupiter",
+    contraryMalefic: isDay ? "Mars" : "Saturn",
+    planets,
+  };
+};
+
+/**
+ * Follows each classical planet's chain of sign rulers until it repeats, and
+ * finds the final dispositor: a planet in its own sign that ends every chain.
+ */
+const describeDispositors = (positions) => {
+  const chains = {};
+  const terminals = new Set();
+
+  for (const planet of CLASSICAL_PLANETS) {
+    if (!positions[planet]) continue;
+    const chain = [planet];
+    let current = planet;
+    while (positions[current]) {
+      const ruler = getSignRuler(positions[current].sign);
+      if (chain.includes(ruler)) {
+        // The chain ends in a loop; record where it closes.
+        terminals.add(chain.slice(chain.indexOf(ruler)).sort().join("/"));
+        break;
+      }
+      chain.push(ruler);
+      current = ruler;
+    }
+    chains[planet] = chain;
+  }
+
+  const [onlyTerminal] = terminals;
+  const finalDispositor =
+    terminals.size === 1 && !onlyTerminal.includes("/") ? onlyTerminal : null;
+
+  return { chains, finalDispositor };
+};
+
+/**
+ * Lists pairs of classical planets each in a sign the other rules or is exalted in.
+ */
+const findMutualReceptions = (positions) => {
+  const receives = (host, guest) => {
+    const sign = positions[guest].sign;
+    if (getSignRuler(sign) === host) return "domicile";
+    if (EXALTATIONS[host].sign === sign) return "exaltation";
+    return null;
+  };
+
+  const receptions = [];
+  const planets = CLASSICAL_PLANETS.filter((planet) => positions[planet]);
+  for (let i = 0; i < planets.length; i++) {
+    for (let j = i + 1; j < planets.length; j++) {
+      const first = receives(planets[i], planets[j]);
+      const second = receives(planets[j], planets[i]);
+      if (!first || !second) continue;
+      receptions.push({
+        planets: [planets[i], planets[j]],
+        type: first === second ? first : "mixed",
+      });
+    }
+  }
+  return receptions;
+};
+
+const describeBalance = (positions, ascendant) => {
+  const placements = BALANCE_BODIES.filter((body) => positions[body]).map(
+    (body) => [body, SIGNS.indexOf(positions[body].sign)]
+  );
+  if (ascendant !== undefined && ascendant !== null) {
+    placements.push(["Ascendant", Math.floor(normalizeDegrees(ascendant) / 30)]);
+  }
+
+  const tally = (names, classify) => {
+    const groups = Object.fromEntries(
+      names.map((name) => [name, { count: 0, bodies: [] }])
+    );
+    for (const [body, signIndex] of placements) {
+      const group = groups[classify(signIndex)];
+      group.count += 1;
+      group.bodies.push(body);
+    }
+    return groups;
+  };
+  const dominant = (groups) => {
+    const counts = Object.values(groups).map((group) => group.count);
+    const max = Math.max(...counts);
+    return Object.keys(groups).filter((name) => groups[name].count === max);
+  };
+
+  const elements = tally(ELEMENTS, getElement);
+  const modalities = tally(MODALITIES, getModality);
+  return {
+    elements,
+    modalities,
+    dominantElements: dominant(elements),
+    dominantModalities: dominant(modalities),
+  };
+};
+
+/**
+ * Analyzes a chart built by calculateChart (or stored event data).
+ * Sect, the chart ruler, and house rulers need houses; they are null without them.
+ * @param {object} chartData - The chart, with `positions` and optionally `houses`.
+ * @returns {{dignities: object, sect: object|null, chartRuler: object|null, houseRulers: Array|null, dispositors: object, mutualReceptions: Array, balance: object}}
+ */
+function analyzeChart(chartData) {
+  const positions = chartData?.positions || {};
+  const houses = chartData?.houses;
+  const hasAngles =
+    houses && typeof houses.ascendant === "number" && positions.Sun;
+  const isDay = hasAngles
+    ? isDayChart(positions.Sun.longitude, houses.ascendant)
+    : null;
+
+  const dignities = {};
+  for (const planet of CLASSICAL_PLANETS) {
+    if (!positions[planet]) continue;
+    dignities[planet] = getEssentialDignities(
+      planet,
+      positions[planet].longitude,
+      isDay
+    );
+  }
+
+  const describeRuler = (sign) => {
+    const ruler = getSignRuler(sign);
+    return {
+      sign,
+      ruler,
+      rulerSign: positions[ruler]?.sign ?? null,
+      rulerHouse: positions[ruler]?.house ?? null,
+    };
+  };
+
+  let chartRuler = null;
+  let houseRulers = null;
+  if (hasAngles) {
+    chartRuler = describeRuler(SIGNS[Math.floor(houses.ascendant / 30) % 12]);
+    houseRulers = (houses.cusps || []).map((cusp, index) => ({
+      house: index + 1,
+      ...describeRuler(SIGNS[Math.floor(cusp / 30) % 12]),
+    }));
+  }
+
+  return {
+    dignities,
+    sect: hasAngles ? describeSect(positions, isDay) : null,
+    chartRuler,
+    houseRulers,
+    dispositors: describeDispositors(positions),
+    mutualReceptions: findMutualReceptions(positions),
+    balance: describeBalance(positions, houses?.ascendant),
+  };
+}
+
+module.exports = {
+  analyzeChart,
+};
@@ -0,0 +1,271 @@
+// Aspect definitions, named orb profiles, and the pairwise aspect calculation.
+
+const ASPECT_TYPES = {
+  conjunction: { angle: 0, class: "major", color: "#4a4a4a" },
+  opposition: { angle: 180, class: "major", color: "#ff4d4d" },
+  trine: { angle: 120, class: "major", color: "#2b8a3e" },
+  square: { angle: 90, class: "major", color: "#e03131" },
+  sextile: { angle: 60, class: "major", color: "#1c7ed6" },
+  quincunx: { angle: 150, class: "minor", color: "#f08c00" },
+  "semi-sextile": { angle: 30, class: "minor", color: "#74c0fc" },
+  "semi-square": { angle: 45, class: "minor", color: "#ff8787" },
+  sesquiquadrate: { angle: 135, class: "minor", color: "#fa5252" },
+  quintile: { angle: 72, class: "minor", color: "#9775fa" },
+  biquintile: { angle: 144, class: "minor", color: "#7048e8" },
+};
+
+// Half of each planet's traditional orb (after Lilly). Bodies without a
+// traditional moiety use `defaultMoiety`.
+const TRADITIONAL_MOIETIES = {
+  Sun: 7.5,
+  Moon: 6,
+  Mercury: 3.5,
+  Venus: 3.5,
+  Mars: 3.75,
+  Jupiter: 4.5,
+  Saturn: 4.5,
+};
+
+/**
+ * Named aspect profiles.
+ * - `orbs`: the orb for each aspect the profile uses (aspects not listed are ignored).
+ * - `planetOrbs`: per-planet orb overrides; a pair uses the widest orb either planet allows.
+ * - `moieties`: when set, the orb for a pair is the sum of both planets' moieties instead.
+ */
+const ASPECT_PROFILES = {
+  modern: {
+    description:
+      "Major aspects with wide orbs, wider for the luminaries, plus minor aspects.",
+    orbs: {
+      conjunction: 8,
+      opposition: 8,
+      trine: 8,
+      square: 8,
+      sextile: 6,
+      quincunx: 3,
+      "semi-sextile": 2,
+      "semi-square": 2,
+      sesquiquadrate: 2,
+      quintile: 2,
+      biquintile: 2,
+    },
+    planetOrbs: {
+      Sun: { conjunction: 10, opposition: 10, trine: 10, square: 10, sextile: 7 },
+      Moon: { conjunction: 10, opposition: 10, trine: 10, square: 10, sextile: 7 },
+    },
+  },
+  traditional: {
+    description:
+      "Ptolemaic aspects only, with orbs from the sum of both planets' moieties.",
+    orbs: {
+      conjunction: 0,
+      opposition: 0,
+      trine: 0,
+      square: 0,
+      sextile: 0,
+    },
+    moieties: TRADITIONAL_MOIETIES,
+    defaultMoiety: 2.5,
+  },
+  tight: {
+    description: "Major and minor aspects with narrow orbs.",
+    orbs: {
+      conjunction: 3,
+      opposition: 3,
+      trine: 3,
+      square: 3,
+      sextile: 2,
+      quincunx: 1,
+      "semi-sextile": 1,
+      "semi-square": 1,
+      sesquiquadrate: 1,
+      quintile: 1,
+      biquintile: 1,
+    },
+    planetOrbs: {
+      Sun: { conjunction: 4, opposition: 4, trine: 4, square: 4 },
+      Moon: { conjunction: 4, opposition: 4, trine: 4, square: 4 },
+    },
+  },
+};
+
+const DEFAULT_ASPECT_PROFILE = "modern";
+
+const getAspectProfile = (name = DEFAULT_ASPECT_PROFILE) => {
+  const profile = ASPECT_PROFILES[name];
+  if (!profile) {
+    throw new Error(
+      `Unknown aspect profile "${name}". Available profiles: ${Object.keys(
+        ASPECT_PROFILES
+      ).join(", ")}.`
+    );
+  }
+  return profile;
+};
+
+/**
+ * Determines the allowed orb for an aspect between two named bodies.
+ * @param {object} profile - An entry from ASPECT_PROFILES.
+ * @param {string} aspectName - The aspect key.
+ * @param {string} name1 - The first body's name.
+ * @param {string} name2 - The second body's name.
+ * @returns {number} - The orb in degrees.
+ */
+const getAspectOrb = (profile, aspectName, name1, name2) => {
+  if (profile.moieties) {
+    const moiety = (name) => profile.moieties[name] ?? profile.defaultMoiety;
+    return moiety(name1) + moiety(name2);
+  }
+
+  const base = profile.orbs[aspectName];
+  const override = (name) => profile.planetOrbs?.[name]?.[aspectName] ?? base;
+  return Math.max(base, override(name1), override(name2));
+};
+
+/**
+ * Works out whether an aspect is tightening or widening from the bodies' speeds.
+ * @param {object} p1 - First position ({ longitude, speed }).
+ * @param {object} p2 - Second position ({ longitude, speed }).
+ * @param {number} aspectAngle - The exact aspect angle in degrees.
+ * @returns {"applying" | "separating" | "stationary" | null} - Null if speeds are unknown.
+ */
+const getAspectMotion = (p1, p2, aspectAngle) => {
+  if (typeof p1.speed !== "number" || typeof p2.speed !== "number") return null;
+
+  // Signed separation in (-180, 180]; its sign tells which way |separation| moves.
+  let diff = (((p2.longitude - p1.longitude) % 360) + 360) % 360;
+  if (diff > 180) diff -= 360;
+  const separationRate = Math.sign(diff || 1) * (p2.speed - p1.speed);
+  const orbRate =
+    (Math.abs(diff) - aspectAngle >= 0 ? 1 : -1) * separationRate;
+
+  if (orbRate < 0) return "applying";
+  if (orbRate > 0) return "separating";
+  return "stationary";
+};
+
+/**
+ * Returns a profile with fixed orbs for some aspects. Overridden aspects use
+ * the given orb for every pair, and aspects the profile lacks are added.
+ * @param {string} [profileName="modern"] - The aspect profile to start from.
+ * @param {Object<string, number>} [orbs] - Orbs keyed by aspect name.
+ * @returns {object} - The adjusted profile.
+ * @throws {Error} - If an aspect name or orb is invalid.
+ */
+const withOrbOverrides = (profileName = DEFAULT_ASPECT_PROFILE, orbs) => {
+  const profile = getAspectProfile(profileName);
+  if (!orbs) return profile;
+
+  for (const [aspectName, orb] of Object.entries(orbs)) {
+    if (!ASPECT_TYPES[aspectName]) {
+      throw new Error(
+        `Unknown aspect "${aspectName}". Available aspects: ${Object.keys(
+          ASPECT_TYPES
+        ).join(", ")}.`
+      );
+    }
+    if (typeof orb !== "number" || !Number.isFinite(orb) || orb < 0 || orb > 15) {
+      throw new Error(`The orb for ${aspectName} must be a number from 0 to 15.`);
+    }
+  }
+  return {
+    ...profile,
+    orbs: { ...profile.orbs, ...orbs },
+    fixedOrbs: orbs,
+  };
+};
+
+const resolveProfile = (profile) =>
+  typeof profile === "string" || profile === undefined
+    ? getAspectProfile(profile)
+    : profile;
+
+const orbFor = (profile, aspectName, name1, name2) =>
+  profile.fixedOrbs?.[aspectName] ??
+  getAspectOrb(profile, aspectName, name1, name2);
+
+/**
+ * Lists the aspects one pair of positions forms under a profile.
+ */
+const aspectsBetween = (profile, name1, p1, name2, p2) => {
+  let angle = Math.abs(p1.longitude - p2.longitude);
+  if (angle > 180) angle = 360 - angle;
+
+  const aspects = [];
+  for (const aspectName of Object.keys(profile.orbs)) {
+    const aspect = ASPECT_TYPES[aspectName];
+    const orb = Math.abs(angle - aspect.angle);
+    if (orb <= orbFor(profile, aspectName, name1, name2)) {
+      aspects.push({
+        planet1: name1,
+        planet2: name2,
+        aspect: aspectName,
+        angle: aspect.angle,
+        orb,
+        class: aspect.class,
+        motion: getAspectMotion(p1, p2, aspect.angle),
+        color: aspect.color,
+      });
+    }
+  }
+  return aspects;
+};
+
+/**
+ * Calculates every aspect between each pair of positions under a profile.
+ * @param {Object<string, {longitude: number, speed?: number}>} positions - Positions keyed by body name.
+ * @param {string|object} [profile="modern"] - The aspect profile name, or a profile from withOrbOverrides.
+ * @returns {Array<object>} - Aspects with bodies, orb, class, color, and applying/separating motion.
+ */
+function calculateAspects(positions, profile = DEFAULT_ASPECT_PROFILE) {
+  const resolved = resolveProfile(profile);
+  const aspects = [];
+
+  const names = Object.keys(positions);
+  for (let i = 0; i < names.length; i++) {
+    for (let j = i + 1; j < names.length; j++) {
+      const p1 = positions[names[i]];
+      const p2 = positions[names[j]];
+      if (!p1 || !p2) continue;
+      aspects.push(...aspectsBetween(resolved, names[i], p1, names[j], p2));
+    }
+  }
+
+  return aspects;
+}
+
+/**
+ * Calculates the aspects between the positions of two different charts.
+ * `planet1` is always from the first chart and `planet2` from the second.
+ * Motion is omitted, as the two charts are fixed moments.
+ * @param {Object<string, {longitude: number}>} positions1 - The first chart's positions.
+ * @param {Object<string, {longitude: number}>} positions2 - The second chart's positions.
+ * @param {string|object} [profile="modern"] - The aspect profile name, or a profile from withOrbOverrides.
+ * @returns {Array<object>} - Aspects with bodies, orb, class, and color.
+ */
+function calculateCrossAspects(positions1, positions2, profile = DEFAULT_ASPECT_PROFILE) {
+  const resolved = resolveProfile(profile);
+  const aspects = [];
+
+  for (const [name1, p1] of Object.entries(positions1)) {
+    for (const [name2, p2] of Object.entries(positions2)) {
+      if (!p1 || !p2) continue;
+      for (const { motion, ...aspect } of aspectsBetween(resolved, name1, p1, name2, p2)) {
+        aspects.push(aspect);
+      }
+    }
+  }
+
+  return aspects;
+}
+
+module.exports = {
+  ASPECT_TYPES,
+  ASPECT_PROFILES,
+  DEFAULT_ASPECT_PROFILE,
+  getAspectOrb,
+  getAspectMotion,
+  withOrbOverrides,
+  calculateAspects,
+  calculateCrossAspects,
+};
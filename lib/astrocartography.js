@@ -0,0 +1,358 @@
+// Astrocartography: where on Earth each body was angular at a chart's moment
+// (ASC/DSC/MC/IC lines), local-space lines from the chart's place, and parans.
+// Lines are GeoJSON features with [longitude, latitude] coordinates.
+const sweph = require("swisseph");
+const { STANDARD_BODIES, EXTENDED_BODIES } = require("./bodies");
+const { normalizeDegrees, signedArc } = require("./zodiac");
+const {
+  initEphemeris,
+  toJulianDay,
+  getChartMoment,
+  calcBody,
+} = require("./ephemeris");
+
+const ASTROCARTOGRAPHY_BODIES = { ...STANDARD_BODIES, ...EXTENDED_BODIES };
+const DEFAULT_ASTROCARTOGRAPHY_BODIES = [
+  "Sun",
+  "Moon",
+  "Mercury",
+  "Venus",
+  "Mars",
+  "Jupiter",
+  "Saturn",
+  "Uranus",
+  "Neptune",
+  "Pluto",
+];
+const ANGLES = ["ASC", "DSC", "MC", "IC"];
+
+// Horizon lines bend sharply towards the poles, so they stop short of them.
+const MAX_LINE_LATITUDE = 85;
+const LATITUDE_STEP = 0.5;
+// Local-space lines are sampled along their great circle at this spacing (degrees of arc).
+const GREAT_CIRCLE_STEP = 1;
+const PARAN_LATITUDE_STEP = 0.25;
+const PRECISION_DEGREES = 1e-4;
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+const toGeoLongitude = (degrees) => normalizeDegrees(degrees + 180) - 180;
+
+/**
+ * Splits a path into GeoJSON MultiLineString parts wherever it crosses the antimeridian.
+ */
+const splitAtAntimeridian = (points) => {
+  const parts = [];
+  let part = [];
+  for (const point of points) {
+    const last = part[part.length - 1];
+    if (last && Math.abs(point[0] - last[0]) > 180) {
+      parts.push(part);
+      part = [];
+    }
+    part.push(point);
+  }
+  if (part.length > 0) parts.push(part);
+  return parts.filter((segment) => segment.length > 1);
+};
+
+const lineFeature = (points, properties) => ({
+  type: "Feature",
+  geometry: { type: "MultiLineString", coordinates: splitAtAntimeridian(points) },
+  properties,
+});
+
+/**
+ * The semi-arc of a body: its hour angle at rising/setting at a latitude, or
+ * null if it never crosses the horizon there.
+ */
+const semiArc = (declination, latitude) => {
+  const cosine = -Math.tan(toRadians(latitude)) * Math.tan(toRadians(declination));
+  return Math.abs(cosine) > 1 ? null : toDegrees(Math.acos(cosine));
+};
+
+/**
+ * The local sidereal time (degrees) at which a body is on an angle at a latitude.
+ */
+const siderealTimeOnAngle = ({ rightAscension, declination }, angle, latitude) => {
+  if (angle === "MC") return rightAscension;
+  if (angle === "IC") return normalizeDegrees(rightAscension + 180);
+  const arc = semiArc(declination, latitude);
+  if (arc === null) return null;
+  return normalizeDegrees(angle === "ASC" ? rightAscension - arc : rightAscension + arc);
+};
+
+const latitudes = (step) => {
+  const values = [];
+  for (let latitude = -MAX_LINE_LATITUDE; latitude <= MAX_LINE_LATITUDE; latitude += step) {
+    values.push(latitude);
+  }
+  return values;
+};
+
+/**
+ * ASC/DSC/MC/IC lines for one body. A body is on an angle where the local
+ * sidereal time matches its angle time, so each latitude maps to one longitude.
+ */
+const planetaryLines = (body, coordinates, greenwichSiderealTime) =>
+  ANGLES.map((angle) => {
+    const points = [];
+    for (const latitude of latitudes(LATITUDE_STEP)) {
+      const siderealTime = siderealTimeOnAngle(coordinates, angle, latitude);
+      if (siderealTime === null) continue;
+      points.push([toGeoLongitude(siderealTime - greenwichSiderealTime), latitude]);
+    }
+    return lineFeature(points, { kind: "planetary", body, angle });
+  });
+
+/**
+ * The great circle leaving a place at an azimuth (degrees east of north), all the way round.
+ */
+const greatCircle = (latitude, longitude, azimuth) => {
+  const phi = toRadians(latitude);
+  const theta = toRadians(azimuth);
+  const points = [];
+  for (let arc = 0; arc <= 360; arc += GREAT_CIRCLE_STEP) {
+    const d = toRadians(arc);
+    const pointPhi = Math.asin(
+      Math.sin(phi) * Math.cos(d) + Math.cos(phi) * Math.sin(d) * Math.cos(theta)
+    );
+    const deltaLambda = Math.atan2(
+      Math.sin(theta) * Math.sin(d) * Math.cos(phi),
+      Math.cos(d) - Math.sin(phi) * Math.sin(pointPhi)
+    );
+    points.push([toGeoLongitude(longitude + toDegrees(deltaLambda)), toDegrees(pointPhi)]);
+  }
+  return points;
+};
+
+/**
+ * A body's azimuth (degrees east of north) and altitude as seen from a place.
+ */
+const horizonPosition = ({ rightAscension, declination }, localSiderealTime, latitude) => {
+  const hourAngle = toRadians(localSiderealTime - rightAscension);
+  const delta = toRadians(declination);
+  const phi = toRadians(latitude);
+  const azimuth = toDegrees(
+    Math.atan2(
+      -Math.cos(delta) * Math.sin(hourAngle),
+      Math.sin(delta) * Math.cos(phi) - Math.cos(delta) * Math.sin(phi) * Math.cos(hourAngle)
+    )
+  );
+  const altitude = toDegrees(
+    Math.asin(
+      Math.sin(delta) * Math.sin(phi) +
+        Math.cos(delta) * Math.cos(phi) * Math.cos(hourAngle)
+    )
+  );
+  return { azimuth: normalizeDegrees(azimuth), altitude };
+};
+
+/**
+ * Whether both angles lie on the meridian (MC or IC). Two bodies meet there
+ * whatever the latitude, as it depends only on their right ascensions, so
+ * such pairs aren't parans.
+ * @param {string} angleA - One of ANGLES.
+ * @param {string} angleB - One of ANGLES.
+ * @returns {boolean}
+ */
+const isMeridianPair = (angleA, angleB) =>
+  (angleA === "MC" || angleA === "IC") && (angleB === "MC" || angleB === "IC");
+
+/**
+ * Latitudes where two bodies are on angles at the same moment.
+ */
+const findParans = (bodyA, coordinatesA, bodyB, coordinatesB) => {
+  const parans = [];
+  for (const angleA of ANGLES) {
+    for (const angleB of ANGLES) {
+      if (isMeridianPair(angleA, angleB)) continue;
+
+      const gap = (latitude) => {
+        const timeA = siderealTimeOnAngle(coordinatesA, angleA, latitude);
+        const timeB = siderealTimeOnAngle(coordinatesB, angleB, latitude);
+        return timeA === null || timeB === null ? null : signedArc(timeB, timeA);
+      };
+
+      let previous = null;
+      for (const latitude of latitudes(PARAN_LATITUDE_STEP)) {
+        const current = { latitude, gap: gap(latitude) };
+        if (
+          previous?.gap != null &&
+          current.gap !== null &&
+          Math.sign(previous.gap) !== Math.sign(current.gap) &&
+          // A sign change far from zero is the ±180° wrap, not a crossing.
+          Math.abs(previous.gap - current.gap) < 180
+        ) {
+          let low = previous.latitude;
+          let high = current.latitude;
+          const lowSign = Math.sign(previous.gap);
+          while (high - low > PRECISION_DEGREES) {
+            const mid = (low + high) / 2;
+            if (Math.sign(gap(mid)) === lowSign) low = mid;
+            else high = mid;
+          }
+          parans.push({
+            bodies: [bodyA, bodyB],
+            angles: [angleA, angleB],
+            latitude: (low + high) / 2,
+          });
+        }
+        previous = current;
+      }
+    }
+  }
+  return parans;
+};
+
+/**
+ * Calculates the astrocartography of a chart.
+ * @param {object} chart - A chart from calculateChart or stored event data (with a date and coordinates).
+ * @param {object} [options]
+ * @param {Array<string>} [options.bodies] - Keys of ASTROCARTOGRAPHY_BODIES (defaults to Sun through Pluto).
+ * @returns {{bodies: object, lines: object, localSpace: object, parans: object}} - Each body's
+ *   right ascension/declination, and GeoJSON FeatureCollections of the lines.
+ * @throws {Error} - If the chart has no date or coordinates, or the ephemeris fails.
+ */
+function calculateAstrocartography(chart, options = {}) {
+  const moment = getChartMoment(chart);
+  const { latitude, longitude } = chart.meta || {};
+  if (!moment.isValid || typeof latitude !== "number" || typeof longitude !== "number") {
+    throw new Error("Astrocartography needs a chart with a valid date and coordinates.");
+  }
+
+  initEphemeris();
+  const julianDay = toJulianDay(moment);
+  const greenwichSiderealTime = sweph.swe_sidtime(julianDay).siderialTime * 15;
+  const localSiderealTime = normalizeDegrees(greenwichSiderealTime + longitude);
+
+  // Right ascension and declination don't depend on the zodiac, so no sidereal flag.
+  const bodies = {};
+  for (const name of options.bodies || DEFAULT_ASTROCARTOGRAPHY_BODIES) {
+    const result = calcBody(julianDay, ASTROCARTOGRAPHY_BODIES[name], sweph.SEFLG_EQUATORIAL);
+    if (result.error) throw new Error(result.error);
+    const coordinates = {
+      rightAscension: result.rectAscension,
+      declination: result.declination,
+    };
+    bodies[name] = {
+      ...coordinates,
+      ...horizonPosition(coordinates, localSiderealTime, latitude),
+    };
+  }
+
+  const names = Object.keys(bodies);
+  const lines = names.flatMap((name) =>
+    planetaryLines(name, bodies[name], greenwichSiderealTime)
+  );
+  const localSpace = names.map((name) =>
+    lineFeature(greatCircle(latitude, longitude, bodies[name].azimuth), {
+      kind: "local-space",
+      body: name,
+      azimuth: bodies[name].azimuth,
+    })
+  );
+  const parans = [];
+  for (let i = 0; i < names.length; i++) {
+    for (let j = i + 1; j < names.length; j++) {
+      for (const paran of findParans(names[i], bodies[names[i]], names[j], bodies[names[j]])) {
+        parans.push(
+          lineFeature(
+            [
+              [-180, paran.latitude],
+              [0, paran.latitude],
+              [180, paran.latitude],
+            ],
+            { kind: "paran", ...paran }
+          )
+        );
+      }
+    }
+  }
+
+  return {
+    origin: { latitude, longitude, date: moment.toISO() },
+    bodies,
+    lines: { type: "FeatureCollection", features: lines },
+    localSpace: { type: "FeatureCollection", features: localSpace },
+    parans: { type: "FeatureCollection", features: parans },
+  };
+}
+
+/**
+ * Distance from a place to a line, measuring each segment on a flat projection
+ * centred on the place (accurate for the few hundred kilometres that matter here).
+ * @returns {{distanceKm: number, closestPoint: Array<number>}}
+ */
+const distanceToLine = (feature, latitude, longitude) => {
+  const scale = Math.cos(toRadians(latitude));
+  const project = ([pointLongitude, pointLatitude]) => [
+    toRadians(signedArc(longitude, pointLongitude)) * scale * EARTH_RADIUS_KM,
+    toRadians(pointLatitude - latitude) * EARTH_RADIUS_KM,
+  ];
+
+  let best = { distanceKm: Infinity, closestPoint: null };
+  for (const part of feature.geometry.coordinates) {
+    for (let i = 1; i < part.length; i++) {
+      const [ax, ay] = project(part[i - 1]);
+      const [bx, by] = project(part[i]);
+      const length = (bx - ax) ** 2 + (by - ay) ** 2;
+      const t =
+        length === 0
+          ? 0
+          : Math.min(1, Math.max(0, -(ax * (bx - ax) + ay * (by - ay)) / length));
+      const x = ax + t * (bx - ax);
+      const y = ay + t * (by - ay);
+      const distanceKm = Math.hypot(x, y);
+      if (distanceKm < best.distanceKm) {
+        best = {
+          distanceKm,
+          closestPoint: [
+            toGeoLongitude(longitude + toDegrees(x / EARTH_RADIUS_KM / scale)),
+            latitude + toDegrees(y / EARTH_RADIUS_KM),
+          ],
+        };
+      }
+    }
+  }
+  return best;
+};
+
+/**
+ * Lists the lines passing near a place, nearest first.
+ * @param {object} astrocartography - Output of calculateAstrocartography.
+ * @param {number} latitude - Latitude of the place.
+ * @param {number} longitude - Longitude of the place.
+ * @param {number} radiusKm - How far from the place a line may pass.
+ * @returns {Array<object>} - { kind, body, angle?, bodies?, angles?, distanceKm, closestPoint? } per line.
+ */
+function findLinesNear(astrocartography, latitude, longitude, radiusKm) {
+  const near = [];
+  for (const feature of [
+    ...astrocartography.lines.features,
+    ...astrocartography.localSpace.features,
+  ]) {
+    const { distanceKm, closestPoint } = distanceToLine(feature, latitude, longitude);
+    if (distanceKm <= radiusKm) {
+      near.push({ ...feature.properties, distanceKm, closestPoint });
+    }
+  }
+  // Parans run along a latitude, so their distance is north-south only.
+  for (const feature of astrocartography.parans.features) {
+    const distanceKm =
+      toRadians(Math.abs(feature.properties.latitude - latitude)) * EARTH_RADIUS_KM;
+    if (distanceKm <= radiusKm) near.push({ ...feature.properties, distanceKm });
+  }
+  return near.sort((a, b) => a.distanceKm - b.distanceKm);
+}
+
+module.exports = {
+  ASTROCARTOGRAPHY_BODIES,
+  DEFAULT_ASTROCARTOGRAPHY_BODIES,
+  ANGLES,
+  siderealTimeOnAngle,
+  isMeridianPair,
+  calculateAstrocartography,
+  findLinesNear,
+};
@@ -0,0 +1,158 @@
+// The bodies and points a chart can include.
+// Every chart gets STANDARD_BODIES; the extended set is opt-in through the
+// `bodies` chart option ("extended", or an array of extended body names).
+const sweph = require("swisseph");
+const { normalizeDegrees } = require("./zodiac");
+
+const STANDARD_BODIES = {
+  Sun: sweph.SE_SUN,
+  Moon: sweph.SE_MOON,
+  Mercury: sweph.SE_MERCURY,
+  Venus: sweph.SE_VENUS,
+  Mars: sweph.SE_MARS,
+  Jupiter: sweph.SE_JUPITER,
+  Saturn: sweph.SE_SATURN,
+  Uranus: sweph.SE_URANUS,
+  Neptune: sweph.SE_NEPTUNE,
+  Pluto: sweph.SE_PLUTO,
+  "North Node": sweph.SE_TRUE_NODE,
+  Chiron: sweph.SE_CHIRON,
+};
+
+// Extended bodies calculated directly by Swiss Ephemeris. The asteroids need
+// seas_18.se1 (or the matching file for the date) in the ephemeris directory.
+const EXTENDED_BODIES = {
+  Ceres: sweph.SE_CERES,
+  Pallas: sweph.SE_PALLAS,
+  Juno: sweph.SE_JUNO,
+  Vesta: sweph.SE_VESTA,
+  Lilith: sweph.SE_MEAN_APOG,
+  "True Lilith": sweph.SE_OSCU_APOG,
+  "Mean Node": sweph.SE_MEAN_NODE,
+};
+
+// Seen from the Sun, the Earth takes the Sun's place. The Moon and the lunar
+// points describe the Earth's own neighbourhood, so heliocentric charts leave them out.
+const HELIOCENTRIC_BODIES = { Earth: sweph.SE_EARTH };
+const GEOCENTRIC_ONLY_BODIES = [
+  "Sun",
+  "Moon",
+  "North Node",
+  "Lilith",
+  "True Lilith",
+  "Mean Node",
+];
+
+// Extended points derived from other positions and the chart angles.
+const DERIVED_POINTS = [
+  "South Node",
+  "Vertex",
+  "Anti-Vertex",
+  "East Point",
+  "Part of Fortune",
+  "Part of Spirit",
+];
+
+const EXTENDED_BODY_NAMES = [...Object.keys(EXTENDED_BODIES), ...DERIVED_POINTS];
+
+/**
+ * Validates a `bodies` option and returns the extended bodies it selects.
+ * @param {string|Array<string>} [bodies] - "standard", "extended", or an array of extended body names.
+ * @returns {Array<string>} - The selected extended body names (empty for the standard set).
+ * @throws {Error} - If the option or any body name is not recognized.
+ */
+const resolveExtendedBodies = (bodies) => {
+  if (bodies === undefined || bodies === null || bodies === "standard") return [];
+  if (bodies === "extended") return EXTENDED_BODY_NAMES;
+  if (!Array.isArray(bodies)) {
+    throw new Error(
+      'bodies must be "standard", "extended", or an array of body names.'
+    );
+  }
+
+  const unknown = bodies.filter(
+    (name) => !EXTENDED_BODY_NAMES.includes(name) && !STANDARD_BODIES[name]
+  );
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown bodies: ${unknown.join(", ")}. Available extended bodies: ${EXTENDED_BODY_NAMES.join(", ")}.`
+    );
+  }
+  return EXTENDED_BODY_NAMES.filter((name) => bodies.includes(name));
+};
+
+/**
+ * Whether the Sun is above the horizon, judged by its ecliptic distance from the Ascendant.
+ * @param {number} sunLongitude - The Sun's longitude.
+ * @param {number} ascendant - The Ascendant's longitude.
+ * @returns {boolean} - True for a day chart.
+ */
+const isDayChart = (sunLongitude, ascendant) =>
+  normalizeDegrees(sunLongitude - ascendant) > 180;
+
+/**
+ * Calculates the derived points among the selected extended bodies.
+ * @param {Array<string>} names - Selected extended body names.
+ * @param {Object<string, {longitude: number, latitude: number, speed: number}>} positions - Already calculated positions.
+ * @param {{ascendant: number, vertex: number, equatorialAscendant: number}} angles - Chart angles from swe_houses_ex.
+ * @returns {Object<string, {longitude: number, latitude?: number, speed?: number}>} - Derived points keyed by name.
+ */
+const calculateDerivedPoints = (names, positions, angles) => {
+  const points = {};
+  const selected = (name) => names.includes(name);
+
+  if (selected("South Node") && positions["North Node"]) {
+    const node = positions["North Node"];
+    points["South Node"] = {
+      longitude: normalizeDegrees(node.longitude + 180),
+      latitude: -node.latitude,
+      speed: node.speed,
+    };
+  }
+
+  if (!angles) return points;
+
+  if (selected("Vertex")) {
+    points.Vertex = { longitude: angles.vertex };
+  }
+  if (selected("Anti-Vertex")) {
+    points["Anti-Vertex"] = { longitude: normalizeDegrees(angles.vertex + 180) };
+  }
+  if (selected("East Point")) {
+    points["East Point"] = { longitude: angles.equatorialAscendant };
+  }
+
+  const sun = positions.Sun;
+  const moon = positions.Moon;
+  if (sun && moon && (selected("Part of Fortune") || selected("Part of Spirit"))) {
+    // Day: Fortune = ASC + Moon - Sun, Spirit = ASC + Sun - Moon; reversed by night.
+    const day = isDayChart(sun.longitude, angles.ascendant);
+    const moonMinusSun = moon.longitude - sun.longitude;
+    const fortune = normalizeDegrees(
+      angles.ascendant + (day ? moonMinusSun : -moonMinusSun)
+    );
+    const spirit = normalizeDegrees(
+      angles.ascendant + (day ? -moonMinusSun : moonMinusSun)
+    );
+    if (selected("Part of Fortune")) {
+      points["Part of Fortune"] = { longitude: fortune, sect: day ? "day" : "night" };
+    }
+    if (selected("Part of Spirit")) {
+      points["Part of Spirit"] = { longitude: spirit, sect: day ? "day" : "night" };
+    }
+  }
+
+  return points;
+};
+
+module.exports = {
+  STANDARD_BODIES,
+  EXTENDED_BODIES,
+  HELIOCENTRIC_BODIES,
+  GEOCENTRIC_ONLY_BODIES,
+  DERIVED_POINTS,
+  EXTENDED_BODY_NAMES,
+  resolveExtendedBodies,
+  isDayChart,
+  calculateDerivedPoints,
+};
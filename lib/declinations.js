@@ -0,0 +1,95 @@
+// Equatorial coordinates and declination aspects: right ascension and
+// declination for chart positions, out-of-bounds bodies, and parallels.
+const sweph = require("swisseph");
+const { calcBody } = require("./ephemeris");
+
+const DEFAULT_PARALLEL_ORB = 1;
+const MAX_PARALLEL_ORB = 3;
+
+/**
+ * The true obliquity of the ecliptic (with nutation) at a moment.
+ * @param {number} julianDay - The moment (UT).
+ * @returns {number} - The obliquity in degrees.
+ */
+const getObliquity = (julianDay) =>
+  sweph.swe_calc_ut(julianDay, sweph.SE_ECL_NUT, 0).longitude;
+
+/**
+ * Converts a tropical ecliptic position to right ascension and declination.
+ * @param {number} longitude - Tropical ecliptic longitude.
+ * @param {number} latitude - Ecliptic latitude.
+ * @param {number} obliquity - The obliquity of the ecliptic (see getObliquity).
+ * @returns {{rightAscension: number, declination: number}}
+ */
+const eclipticToEquatorial = (longitude, latitude, obliquity) => {
+  const result = sweph.swe_cotrans([longitude, latitude, 1], -obliquity);
+  return { rightAscension: result.longitude, declination: result.latitude };
+};
+
+/**
+ * Calculates a body's right ascension and declination. Equatorial coordinates
+ * don't depend on the zodiac, so no sidereal flag is applied.
+ * @param {number} julianDay - The moment (UT).
+ * @param {number} bodyId - Swiss Ephemeris body constant.
+ * @param {number} [frameFlag=0] - The chart's frame flag (see applyFrame in lib/ephemeris.js).
+ * @returns {{rightAscension: number, declination: number, declinationSpeed: number} | null} -
+ *   Null if Swiss Ephemeris can't calculate the body.
+ */
+const calcEquatorial = (julianDay, bodyId, frameFlag = 0) => {
+  const result = calcBody(julianDay, bodyId, sweph.SEFLG_EQUATORIAL | frameFlag);
+  if (result.error) return null;
+  return {
+    rightAscension: result.rectAscension,
+    declination: result.declination,
+    declinationSpeed: result.declinationSpeed,
+  };
+};
+
+/**
+ * Whether a declination lies beyond the Sun's greatest declination.
+ * @param {number} declination - The declination in degrees.
+ * @param {number} obliquity - The obliquity of the ecliptic.
+ * @returns {boolean}
+ */
+const isOutOfBounds = (declination, obliquity) => Math.abs(declination) > obliquity;
+
+/**
+ * Finds the parallels (same side of the equator) and contraparallels
+ * (opposite sides) between each pair of positions with a declination.
+ * @param {Object<string, {declination?: number}>} positions - Positions keyed by body name.
+ * @param {number} [orb=1] - Largest difference in declination, in degrees.
+ * @returns {Array<{planet1: string, planet2: string, aspect: string, orb: number}>}
+ */
+function calculateParallels(positions, orb = DEFAULT_PARALLEL_ORB) {
+  const parallels = [];
+  const names = Object.keys(positions).filter(
+    (name) => typeof positions[name]?.declination === "number"
+  );
+  for (let i = 0; i < names.length; i++) {
+    for (let j = i + 1; j < names.length; j++) {
+      const d1 = positions[names[i]].declination;
+      const d2 = positions[names[j]].declination;
+      const sameSide = d1 >= 0 === d2 >= 0;
+      const difference = sameSide ? Math.abs(d1 - d2) : Math.abs(d1 + d2);
+      if (difference <= orb) {
+        parallels.push({
+          planet1: names[i],
+          planet2: names[j],
+          aspect: sameSide ? "parallel" : "contraparallel",
+          orb: difference,
+        });
+      }
+    }
+  }
+  return parallels;
+}
+
+module.exports = {
+  DEFAULT_PARALLEL_ORB,
+  MAX_PARALLEL_ORB,
+  getObliquity,
+  eclipticToEquatorial,
+  calcEquatorial,
+  isOutOfBounds,
+  calculateParallels,
+};
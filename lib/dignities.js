@@ -0,0 +1,151 @@
+// Traditional essential dignities of the seven classical planets, scored on
+// William Lilly's scale.
+const { SIGNS, normalizeDegrees } = require("./zodiac");
+
+const CLASSICAL_PLANETS = [
+  "Sun",
+  "Moon",
+  "Mercury",
+  "Venus",
+  "Mars",
+  "Jupiter",
+  "Saturn",
+];
+
+// Traditional sign rulers, in SIGNS order.
+const DOMICILE_RULERS = [
+  "Mars",
+  "Venus",
+  "Mercury",
+  "Moon",
+  "Sun",
+  "Mercury",
+  "Venus",
+  "Mars",
+  "Jupiter",
+  "Saturn",
+  "Saturn",
+  "Jupiter",
+];
+
+// Exaltation sign and degree of each classical planet.
+const EXALTATIONS = {
+  Sun: { sign: "Aries", degree: 19 },
+  Moon: { sign: "Taurus", degree: 3 },
+  Mercury: { sign: "Virgo", degree: 15 },
+  Venus: { sign: "Pisces", degree: 27 },
+  Mars: { sign: "Capricorn", degree: 28 },
+  Jupiter: { sign: "Cancer", degree: 15 },
+  Saturn: { sign: "Libra", degree: 21 },
+};
+
+const ELEMENTS = ["fire", "earth", "air", "water"];
+const MODALITIES = ["cardinal", "fixed", "mutable"];
+
+// Dorothean triplicity rulers by element.
+const TRIPLICITY_RULERS = {
+  fire: { day: "Sun", night: "Jupiter", participating: "Saturn" },
+  earth: { day: "Venus", night: "Moon", participating: "Mars" },
+  air: { day: "Saturn", night: "Mercury", participating: "Jupiter" },
+  water: { day: "Venus", night: "Mars", participating: "Moon" },
+};
+
+// Egyptian terms: [ruler, end degree] per sign, in SIGNS order.
+const TERMS = [
+  [["Jupiter", 6], ["Venus", 12], ["Mercury", 20], ["Mars", 25], ["Saturn", 30]],
+  [["Venus", 8], ["Mercury", 14], ["Jupiter", 22], ["Saturn", 27], ["Mars", 30]],
+  [["Mercury", 6], ["Jupiter", 12], ["Venus", 17], ["Mars", 24], ["Saturn", 30]],
+  [["Mars", 7], ["Venus", 13], ["Mercury", 19], ["Jupiter", 26], ["Saturn", 30]],
+  [["Jupiter", 6], ["Venus", 11], ["Saturn", 18], ["Mercury", 24], ["Mars", 30]],
+  [["Mercury", 7], ["Venus", 17], ["Jupiter", 21], ["Mars", 28], ["Saturn", 30]],
+  [["Saturn", 6], ["Mercury", 14], ["Jupiter", 21], ["Venus", 28], ["Mars", 30]],
+  [["Mars", 7], ["Venus", 11], ["Mercury", 19], ["Jupiter", 24], ["Saturn", 30]],
+  [["Jupiter", 12], ["Venus", 17], ["Mercury", 21], ["Saturn", 26], ["Mars", 30]],
+  [["Mercury", 7], ["Jupiter", 14], ["Venus", 22], ["Saturn", 26], ["Mars", 30]],
+  [["Mercury", 7], ["Venus", 13], ["Jupiter", 20], ["Mars", 25], ["Saturn", 30]],
+  [["Venus", 12], ["Jupiter", 16], ["Mercury", 19], ["Mars", 28], ["Saturn", 30]],
+];
+
+// Faces (decans) follow the Chaldean order, starting with Mars at 0° Aries.
+const CHALDEAN_ORDER = ["Mars", "Sun", "Venus", "Mercury", "Moon", "Saturn", "Jupiter"];
+
+const DIGNITY_SCORES = {
+  domicile: 5,
+  exaltation: 4,
+  triplicity: 3,
+  term: 2,
+  face: 1,
+  detriment: -5,
+  fall: -4,
+  peregrine: -5,
+};
+
+const getElement = (signIndex) => ELEMENTS[signIndex % 4];
+const getModality = (signIndex) => MODALITIES[signIndex % 3];
+
+/**
+ * Returns the traditional ruler of a sign.
+ * @param {string} sign - A sign name from SIGNS.
+ * @returns {string} - The ruling planet.
+ */
+const getSignRuler = (sign) => DOMICILE_RULERS[SIGNS.indexOf(sign)];
+
+/**
+ * Returns the exaltation ruler of a sign, if it has one.
+ * @param {string} sign - A sign name from SIGNS.
+ * @returns {string | null} - The planet exalted there.
+ */
+const getExaltationRuler = (sign) =>
+  CLASSICAL_PLANETS.find((planet) => EXALTATIONS[planet].sign === sign) || null;
+
+/**
+ * Lists the essential dignities and debilities of a classical planet at a longitude.
+ * @param {string} planet - One of CLASSICAL_PLANETS.
+ * @param {number} longitude - The planet's longitude.
+ * @param {boolean | null} isDay - Whether the chart is diurnal; null if unknown (triplicity then uses the day ruler).
+ * @returns {{sign: string, dignities: Array<string>, debilities: Array<string>, peregrine: boolean, score: number, rulers: object}}
+ */
+function getEssentialDignities(planet, longitude, isDay) {
+  const normalized = normalizeDegrees(longitude);
+  const signIndex = Math.floor(normalized / 30);
+  const sign = SIGNS[signIndex];
+  const oppositeSign = SIGNS[(signIndex + 6) % 12];
+  const degree = normalized - signIndex * 30;
+
+  const triplicity = TRIPLICITY_RULERS[getElement(signIndex)];
+  const rulers = {
+    domicile: DOMICILE_RULERS[signIndex],
+    exaltation: getExaltationRuler(sign),
+    triplicity: isDay === false ? triplicity.night : triplicity.day,
+    term: TERMS[signIndex].find(([, end]) => degree < end)[0],
+    face: CHALDEAN_ORDER[Math.floor(normalized / 10) % 7],
+  };
+
+  const dignities = Object.keys(rulers).filter((kind) => rulers[kind] === planet);
+  const debilities = [];
+  if (getSignRuler(oppositeSign) === planet) debilities.push("detriment");
+  if (EXALTATIONS[planet].sign === oppositeSign) debilities.push("fall");
+
+  const peregrine = dignities.length === 0;
+  const score = [...dignities, ...debilities, ...(peregrine ? ["peregrine"] : [])]
+    .reduce((total, kind) => total + DIGNITY_SCORES[kind], 0);
+
+  return { sign, dignities, debilities, peregrine, score, rulers };
+}
+
+module.exports = {
+  CLASSICAL_PLANETS,
+  DOMICILE_RULERS,
+  EXALTATIONS,
+  ELEMENTS,
+  MODALITIES,
+  TRIPLICITY_RULERS,
+  TERMS,
+  CHALDEAN_ORDER,
+  DIGNITY_SCORES,
+  getElement,
+  getModality,
+  getSignRuler,
+  getExaltationRuler,
+  getEssentialDignities,
+};
@@ -0,0 +1,98 @@
+// Shared Swiss Ephemeris helpers: ephemeris path, Julian day conversion, and body calculation.
+const path = require("path");
+const sweph = require("swisseph");
+const { DateTime } = require("luxon");
+
+const EPHE_PATH = path.join(__dirname, "..", "ephe");
+
+// Julian day of the Unix epoch (1970-01-01T00:00:00Z).
+const UNIX_EPOCH_JD = 2440587.5;
+
+// Where positions are seen from: the Earth's centre, the observer's place on
+// its surface, or the Sun.
+const FRAMES = ["geocentric", "topocentric", "heliocentric"];
+
+/**
+ * Points Swiss Ephemeris at the ephemeris files. Call before calculating, as
+ * swe_close() may reset it.
+ */
+const initEphemeris = () => sweph.swe_set_ephe_path(EPHE_PATH);
+
+/**
+ * Converts a luxon DateTime to a Julian day (UT).
+ * @param {DateTime} dateTime - Any DateTime; it is converted to UTC first.
+ * @returns {number} - The Julian day number.
+ */
+const toJulianDay = (dateTime) => {
+  const utc = dateTime.toUTC();
+  return sweph.swe_julday(
+    utc.year,
+    utc.month,
+    utc.day,
+    utc.hour +
+      utc.minute / 60 +
+      utc.second / 3600 +
+      utc.millisecond / 3600000,
+    sweph.SE_GREG_CAL
+  );
+};
+
+/**
+ * Converts a Julian day (UT) to a UTC luxon DateTime.
+ * @param {number} julianDay - The Julian day number.
+ * @returns {DateTime} - The moment in UTC.
+ */
+const fromJulianDay = (julianDay) =>
+  DateTime.fromMillis(Math.round((julianDay - UNIX_EPOCH_JD) * 86400000), {
+    zone: "utc",
+  });
+
+/**
+ * Reads the moment a chart was cast for from its `meta.date` ("yyyy-MM-dd HH:mm:ss UTC").
+ * @param {object} chartData - A chart from calculateChart or stored event data.
+ * @returns {DateTime} - The moment in UTC (invalid if the chart has no usable date).
+ */
+const getChartMoment = (chartData) =>
+  DateTime.fromSQL(String(chartData?.meta?.date || "").replace(" UTC", ""), {
+    zone: "utc",
+  });
+
+/**
+ * Configures Swiss Ephemeris for a reference frame and returns the calculation
+ * flag to add to swe_calc_ut. The topocentric observer is global Swiss
+ * Ephemeris state, so call this immediately before calculating.
+ * @param {string} [frame="geocentric"] - One of FRAMES.
+ * @param {object} [observer] - { latitude, longitude, altitude } (topocentric only; altitude in meters).
+ * @returns {number} - SEFLG_TOPOCTR or SEFLG_HELCTR, or 0 for geocentric charts.
+ */
+const applyFrame = (frame = "geocentric", { latitude, longitude, altitude = 0 } = {}) => {
+  if (frame === "heliocentric") return sweph.SEFLG_HELCTR;
+  if (frame !== "topocentric") return 0;
+  sweph.swe_set_topo(longitude, latitude, altitude);
+  return sweph.SEFLG_TOPOCTR;
+};
+
+/**
+ * Calculates a body's position and speed.
+ * @param {number} julianDay - The moment (UT).
+ * @param {number} bodyId - Swiss Ephemeris body constant.
+ * @param {number} [flags=0] - Extra SEFLG_* flags (e.g., SEFLG_SIDEREAL).
+ * @returns {{longitude: number, latitude: number, distance: number, longitudeSpeed: number, error?: string}}
+ */
+const calcBody = (julianDay, bodyId, flags = 0) =>
+  sweph.swe_calc_ut(
+    julianDay,
+    bodyId,
+    sweph.SEFLG_SPEED | sweph.SEFLG_JPLEPH | flags
+  );
+
+module.exports = {
+  EPHE_PATH,
+  FRAMES,
+  applyFrame,
+  initEphemeris,
+  toJulianDay,
+  fromJulianDay,
+  getChartMoment,
+  calcBody,
+};
@@ -0,0 +1,239 @@
+// Ephemeris tables: positions, speeds, and sign ingresses at regular steps
+// across a date range, optionally with the houses at one fixed place.
+const { STANDARD_BODIES, EXTENDED_BODIES } = require("./bodies");
+const { HOUSE_SYSTEMS, calculateHouses, getHousePlacement } = require("./houses");
+const { SIGNS, getZodiacSign, signedArc } = require("./zodiac");
+const { initEphemeris, toJulianDay, fromJulianDay, calcBody } = require("./ephemeris");
+
+const EPHEMERIS_BODIES = { ...STANDARD_BODIES, ...EXTENDED_BODIES };
+const STEP_UNITS = ["hours", "days", "months"];
+
+// Ingresses are searched at this step (days) whatever the table step, so a
+// sign change and its retrograde undoing can't both fall between two rows.
+// Even the Moon moves less than a sign a day.
+const INGRESS_STEP_DAYS = 1;
+// Bisection stops once the bracket is narrower than one minute.
+const PRECISION_DAYS = 1 / 1440;
+
+const signIndex = (longitude) => Math.floor(longitude / 30) % 12;
+
+const calculateOrThrow = (jd, bodyId, flags) => {
+  const result = calcBody(jd, bodyId, flags);
+  if (result.error) throw new Error(result.error);
+  return result;
+};
+
+/**
+ * Lists the moments of a table, from start to end inclusive.
+ * @param {DateTime} start - The first row.
+ * @param {DateTime} end - The last possible row.
+ * @param {number} step - Size of each step.
+ * @param {string} unit - One of STEP_UNITS.
+ * @param {number} [limit=Infinity] - Stop after this many rows plus one, so an
+ *   oversized table is detected without building all of it.
+ * @returns {Array<DateTime>} - The row moments in UTC.
+ */
+const listSteps = (start, end, step, unit, limit = Infinity) => {
+  const steps = [];
+  // Offsets are added to the start rather than chained, so month steps don't drift
+  // (Jan 31 + 1 month + 1 month is Mar 28, Jan 31 + 2 months is Mar 31).
+  for (let i = 0; i <= limit; i++) {
+    const moment = start.plus({ [unit]: step * i }).toUTC();
+    if (moment > end) break;
+    steps.push(moment);
+  }
+  return steps;
+};
+
+/**
+ * Finds every sign ingress of a body between two moments.
+ * @param {string} body - A key of EPHEMERIS_BODIES.
+ * @param {number} startJd - Start of the search (UT).
+ * @param {number} endJd - End of the search (UT).
+ * @param {number} [flags=0] - Extra SEFLG_* flags (e.g., SEFLG_SIDEREAL).
+ * @returns {Array<{body: string, julianDay: number, date: string, longitude: number, sign: string, fromSign: string, retrograde: boolean}>} -
+ *   `longitude` is the sign boundary crossed.
+ */
+function findIngresses(body, startJd, endJd, flags = 0) {
+  const bodyId = EPHEMERIS_BODIES[body];
+  const ingresses = [];
+
+  let previous = { jd: startJd, longitude: calculateOrThrow(startJd, bodyId, flags).longitude };
+  while (previous.jd < endJd) {
+    const jd = Math.min(previous.jd + INGRESS_STEP_DAYS, endJd);
+    const current = { jd, longitude: calculateOrThrow(jd, bodyId, flags).longitude };
+    const fromIndex = signIndex(previous.longitude);
+    const toIndex = signIndex(current.longitude);
+
+    if (fromIndex !== toIndex) {
+      // The cusp crossed is the start of the new sign (direct) or of the old one (retrograde).
+      const forward = signedArc(previous.longitude, current.longitude) > 0;
+      const cusp = (forward ? toIndex : fromIndex) * 30;
+      let low = previous.jd;
+      let high = current.jd;
+      while (high - low > PRECISION_DAYS) {
+        const mid = (low + high) / 2;
+        const past = signedArc(cusp, calculateOrThrow(mid, bodyId, flags).longitude) >= 0;
+        if (past === forward) high = mid;
+        else low = mid;
+      }
+      const julianDay = (low + high) / 2;
+      ingresses.push({
+        body,
+        julianDay,
+        date: fromJulianDay(julianDay).toISO(),
+        longitude: cusp,
+        sign: SIGNS[toIndex],
+        fromSign: SIGNS[fromIndex],
+        retrograde: !forward,
+      });
+    }
+    previous = current;
+  }
+
+  return ingresses;
+}
+
+// Removes and returns the leading items of a list that pass a test.
+const takeWhile = (list, test) => {
+  let count = 0;
+  while (count < list.length && test(list[count])) count++;
+  return list.splice(0, count);
+};
+
+/**
+ * Calculates one table row per step, lazily, so long tables can be streamed.
+ */
+function* ephemerisRows(steps, julianDays, bodies, flags, place, ingresses) {
+  // Each body's ingresses in order, consumed as the rows pass them.
+  const pending = Object.fromEntries(
+    bodies.map((body) => [body, ingresses.filter((ingress) => ingress.body === body)])
+  );
+  for (const [index, jd] of julianDays.entries()) {
+    const row = { date: steps[index].toISO(), julianDay: jd, positions: {} };
+    if (place) {
+      const housesResult = calculateHouses(
+        jd,
+        flags,
+        place.latitude,
+        place.longitude,
+        place.houseSystem
+      );
+      row.houses = {
+        system: housesResult.system,
+        name: HOUSE_SYSTEMS[housesResult.system],
+        ascendant: housesResult.ascendant,
+        mc: housesResult.mc,
+        cusps: housesResult.house.slice(0, 12),
+      };
+    }
+
+    for (const body of bodies) {
+      const result = calculateOrThrow(jd, EPHEMERIS_BODIES[body], flags);
+      const signInfo = getZodiacSign(result.longitude);
+      row.positions[body] = {
+        longitude: result.longitude,
+        latitude: result.latitude,
+        speed: result.longitudeSpeed,
+        sign: signInfo.sign,
+        sign_degrees: signInfo.degrees,
+        retrograde: result.longitudeSpeed < 0,
+        ...(row.houses
+          ? { house: getHousePlacement(result.longitude, row.houses.cusps) }
+          : {}),
+        ingresses: takeWhile(pending[body], (ingress) => ingress.julianDay <= jd).map(
+          ({ date, sign, retrograde }) => ({ date, sign, retrograde })
+        ),
+      };
+    }
+    yield row;
+  }
+}
+
+/**
+ * Calculates an ephemeris table. The ingresses are found up front; the rows
+ * are calculated as they are iterated.
+ * @param {object} options
+ * @param {Array<DateTime>} options.steps - Row moments (see listSteps).
+ * @param {Array<string>} options.bodies - Keys of EPHEMERIS_BODIES.
+ * @param {number} [options.flags=0] - Extra SEFLG_* flags (e.g., SEFLG_SIDEREAL).
+ * @param {object} [options.place] - { latitude, longitude, houseSystem } for house and angle columns.
+ * @returns {{rows: Iterable<object>, ingresses: Array<object>}} - One row per step; each body's
+ *   `ingresses` lists the sign changes since the previous row.
+ */
+function calculateEphemerisTable({ steps, bodies, flags = 0, place }) {
+  initEphemeris();
+  const julianDays = steps.map(toJulianDay);
+  const ingresses = bodies
+    .flatMap((body) =>
+      findIngresses(body, julianDays[0], julianDays[julianDays.length - 1], flags)
+    )
+    .sort((a, b) => a.julianDay - b.julianDay);
+
+  return {
+    rows: ephemerisRows(steps, julianDays, bodies, flags, place, ingresses),
+    ingresses,
+  };
+}
+
+const csvValue = (value) => {
+  if (value === undefined || value === null) return "";
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * The CSV header line for a table.
+ * @param {Array<string>} bodies - The table's bodies.
+ * @param {boolean} withHouses - Whether the table has house and angle columns.
+ * @returns {string}
+ */
+const ephemerisCsvHeader = (bodies, withHouses) => {
+  const columns = ["date", ...(withHouses ? ["Ascendant", "MC"] : [])];
+  for (const body of bodies) {
+    columns.push(
+      `${body} longitude`,
+      `${body} sign`,
+      `${body} sign degrees`,
+      `${body} speed`,
+      `${body} retrograde`,
+      ...(withHouses ? [`${body} house`] : []),
+      `${body} ingress`
+    );
+  }
+  return columns.map(csvValue).join(",");
+};
+
+/**
+ * One table row as a CSV line, in the column order of ephemerisCsvHeader.
+ * Ingresses since the previous row are written as "<date> <sign>", joined by "; ".
+ * @param {object} row - A row from calculateEphemerisTable.
+ * @param {Array<string>} bodies - The table's bodies.
+ * @returns {string}
+ */
+const ephemerisCsvLine = (row, bodies) => {
+  const values = [row.date, ...(row.houses ? [row.houses.ascendant, row.houses.mc] : [])];
+  for (const body of bodies) {
+    const position = row.positions[body];
+    values.push(
+      position.longitude,
+      position.sign,
+      position.sign_degrees,
+      position.speed,
+      position.retrograde,
+      ...(row.houses ? [position.house] : []),
+      position.ingresses.map((ingress) => `${ingress.date} ${ingress.sign}`).join("; ")
+    );
+  }
+  return values.map(csvValue).join(",");
+};
+
+module.exports = {
+  EPHEMERIS_BODIES,
+  STEP_UNITS,
+  listSteps,
+  findIngresses,
+  calculateEphemerisTable,
+  ephemerisCsvHeader,
+  ephemerisCsvLine,
+};
@@ -0,0 +1,168 @@
+// Fixed stars from the Swiss Ephemeris catalogue (ephe/sefstars.txt): their
+// conjunctions to a chart's planets and angles, and star-planet parans at the
+// chart's latitude.
+const sweph = require("swisseph");
+const { initEphemeris } = require("./ephemeris");
+const { withAngles } = require("./houses");
+const { ANGLES, siderealTimeOnAngle, isMeridianPair } = require("./astrocartography");
+const { getZodiacSign, signedArc } = require("./zodiac");
+
+// The four royal stars first, then the stars most often read in natal work.
+const DEFAULT_FIXED_STARS = [
+  "Aldebaran",
+  "Regulus",
+  "Antares",
+  "Fomalhaut",
+  "Spica",
+  "Algol",
+  "Sirius",
+  "Arcturus",
+  "Vega",
+  "Pollux",
+  "Castor",
+  "Alcyone",
+  "Betelgeuse",
+  "Rigel",
+  "Procyon",
+  "Capella",
+  "Altair",
+  "Deneb Algedi",
+  "Achernar",
+  "Canopus",
+];
+const DEFAULT_STAR_ORB = 1;
+const MAX_STAR_ORB = 2;
+const MAX_FIXED_STARS = 50;
+
+// Two objects are in paran when they reach their angles within this much
+// sidereal time (degrees; one degree is four minutes).
+const PARAN_ORB = 1;
+const PARAN_BODIES = [
+  "Sun",
+  "Moon",
+  "Mercury",
+  "Venus",
+  "Mars",
+  "Jupiter",
+  "Saturn",
+  "Uranus",
+  "Neptune",
+  "Pluto",
+];
+
+/**
+ * Lists the star names the catalogue doesn't recognize.
+ * @param {Array<string>} names - Star names (traditional names or Bayer designations like ",alLeo").
+ * @returns {Array<string>} - The unknown names.
+ */
+const findUnknownStars = (names) => {
+  initEphemeris();
+  return names.filter((name) => sweph.swe_fixstar_mag(name).error);
+};
+
+/**
+ * Resolves a chart's `fixedStars` option to a list of star names.
+ * @param {boolean|Array<string>} option - true for DEFAULT_FIXED_STARS, or star names.
+ * @returns {Array<string>}
+ */
+const resolveFixedStars = (option) =>
+  Array.isArray(option) ? option : DEFAULT_FIXED_STARS;
+
+/**
+ * Finds the latitude-dependent parans between a star and a planet: the star
+ * rising, setting, culminating, or anticulminating as the planet is on an
+ * angle.
+ */
+const findParansAtLatitude = (star, starCoordinates, body, bodyCoordinates, latitude) => {
+  const parans = [];
+  for (const starAngle of ANGLES) {
+    for (const bodyAngle of ANGLES) {
+      if (isMeridianPair(starAngle, bodyAngle)) continue;
+
+      const starTime = siderealTimeOnAngle(starCoordinates, starAngle, latitude);
+      const bodyTime = siderealTimeOnAngle(bodyCoordinates, bodyAngle, latitude);
+      if (starTime === null || bodyTime === null) continue;
+      const orb = Math.abs(signedArc(bodyTime, starTime));
+      if (orb <= PARAN_ORB) {
+        parans.push({ star, starAngle, body, bodyAngle, orb });
+      }
+    }
+  }
+  return parans;
+};
+
+/**
+ * Calculates the fixed star layer of a chart.
+ * @param {number} julianDay - The chart's moment (UT).
+ * @param {object} chart - The chart so far, with positions (carrying declinations) and optional houses.
+ * @param {object} [options]
+ * @param {Array<string>} [options.stars] - Star names (defaults to DEFAULT_FIXED_STARS).
+ * @param {number} [options.orb=1] - Conjunction orb in degrees of longitude.
+ * @param {number} [options.flags=0] - Extra SEFLG_* flags (e.g., SEFLG_SIDEREAL).
+ * @param {number} [options.latitude] - Latitude for parans; without it no parans are found.
+ * @returns {object} - { stars, conjunctions, parans, unavailable }.
+ */
+function calculateFixedStars(julianDay, chart, options = {}) {
+  const { stars = DEFAULT_FIXED_STARS, orb = DEFAULT_STAR_ORB, flags = 0, latitude } = options;
+  initEphemeris();
+
+  const starData = {};
+  const unavailable = [];
+  for (const name of stars) {
+    const ecliptic = sweph.swe_fixstar_ut(name, julianDay, flags);
+    const equatorial = sweph.swe_fixstar_ut(name, julianDay, sweph.SEFLG_EQUATORIAL);
+    if (ecliptic.error || equatorial.error) {
+      unavailable.push({ star: name, reason: ecliptic.error || equatorial.error });
+      continue;
+    }
+    const signInfo = getZodiacSign(ecliptic.longitude);
+    starData[name] = {
+      catalogName: ecliptic.name,
+      longitude: ecliptic.longitude,
+      latitude: ecliptic.latitude,
+      sign: signInfo.sign,
+      sign_degrees: signInfo.degrees,
+      rightAscension: equatorial.rectAscension,
+      declination: equatorial.declination,
+      magnitude: sweph.swe_fixstar_mag(name).magnitude,
+    };
+  }
+
+  const conjunctions = [];
+  for (const [pointName, point] of Object.entries(withAngles(chart))) {
+    for (const [starName, star] of Object.entries(starData)) {
+      const distance = Math.abs(signedArc(star.longitude, point.longitude));
+      if (distance <= orb) {
+        conjunctions.push({ star: starName, point: pointName, orb: distance });
+      }
+    }
+  }
+
+  const parans = [];
+  if (typeof latitude === "number") {
+    for (const body of PARAN_BODIES) {
+      const position = chart.positions?.[body];
+      if (typeof position?.declination !== "number") continue;
+      for (const [starName, star] of Object.entries(starData)) {
+        parans.push(...findParansAtLatitude(starName, star, body, position, latitude));
+      }
+    }
+  }
+
+  return {
+    stars: starData,
+    conjunctions: conjunctions.sort((a, b) => a.orb - b.orb),
+    parans: parans.sort((a, b) => a.orb - b.orb),
+    unavailable,
+  };
+}
+
+module.exports = {
+  DEFAULT_FIXED_STARS,
+  DEFAULT_STAR_ORB,
+  MAX_STAR_ORB,
+  MAX_FIXED_STARS,
+  findUnknownStars,
+  resolveFixedStars,
+  calculateFixedStars,
+};
@@ -0,0 +1,128 @@
+// Persistent cache of resolved locations, backed by the geocode_cache table.
+// Entries expire after GEOCODE_CACHE_TTL_DAYS (default 180); manual corrections never expire.
+const GEOCODE_CACHE_TTL_DAYS = Number(process.env.GEOCODE_CACHE_TTL_DAYS || 180);
+
+/**
+ * Normalizes a free-text location so equivalent spellings share a cache entry.
+ * @param {string} location - The location as submitted (e.g., " Paris ,  France").
+ * @returns {string} - The cache key (e.g., "paris, france").
+ */
+const normalizeGeocodeQuery = (location) =>
+  String(location || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .replace(/\s*,\s*/g, ", ");
+
+const rowToResolvedLocation = (row) => ({
+  latitude: Number(row.latitude),
+  longitude: Number(row.longitude),
+  formattedLocation: row.formatted_address,
+  timeZoneId: row.timezone,
+  provider: row.provider,
+  confidence: row.confidence === null ? null : Number(row.confidence),
+});
+
+/**
+ * Looks up an unexpired cache entry and records the hit.
+ * @param {object} db - A MariaDB pool or connection.
+ * @param {string} location - Free-text location.
+ * @returns {Promise<object|null>} - The cached location in resolveLocation's shape, or null on a miss.
+ */
+async function getCachedLocation(db, location) {
+  const queryKey = normalizeGeocodeQuery(location);
+  if (!queryKey) return null;
+
+  const rows = await db.query(
+    `SELECT cache_id, latitude, longitude, formatted_address, timezone, provider, confidence
+     FROM geocode_cache
+     WHERE query_key = ? AND (expires_at IS NULL OR expires_at > NOW())`,
+    [queryKey]
+  );
+  if (rows.length === 0) return null;
+
+  await db.query(
+    "UPDATE geocode_cache SET hit_count = hit_count + 1, last_hit_at = NOW() WHERE cache_id = ?",
+    [rows[0].cache_id]
+  );
+
+  return rowToResolvedLocation(rows[0]);
+}
+
+/**
+ * Stores a provider result. Manually corrected entries are left untouched.
+ * @param {object} db - A MariaDB pool or connection.
+ * @param {string} location - Free-text location as submitted.
+ * @param {object} resolved - The result of resolveLocation.
+ * @returns {Promise<void>}
+ */
+async function storeCachedLocation(db, location, resolved) {
+  const queryKey = normalizeGeocodeQuery(location);
+  if (!queryKey) return;
+
+  await db.query(
+    `INSERT INTO geocode_cache
+     (query_key, original_query, latitude, longitude, formatted_address, timezone, provider, confidence, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW() + INTERVAL ? DAY)
+     ON DUPLICATE KEY UPDATE
+       latitude = IF(is_manual, latitude, VALUES(latitude)),
+       longitude = IF(is_manual, longitude, VALUES(longitude)),
+       formatted_address = IF(is_manual, formatted_address, VALUES(formatted_address)),
+       timezone = IF(is_manual, timezone, VALUES(timezone)),
+       provider = IF(is_manual, provider, VALUES(provider)),
+       confidence = IF(is_manual, confidence, VALUES(confidence)),
+       expires_at = IF(is_manual, expires_at, VALUES(expires_at))`,
+    [
+      queryKey,
+      String(location).trim(),
+      resolved.latitude,
+      resolved.longitude,
+      resolved.formattedLocation,
+      resolved.timeZoneId,
+      resolved.provider,
+      resolved.confidence ?? null,
+      GEOCODE_CACHE_TTL_DAYS,
+    ]
+  );
+}
+
+/**
+ * Inserts or replaces a manually corrected entry. Manual entries never expire.
+ * @param {object} db - A MariaDB pool or connection.
+ * @param {{query: string, latitude: number, longitude: number, formattedAddress: string, timezone: string}} entry
+ * @returns {Promise<void>}
+ */
+async function upsertManualLocation(
+  db,
+  { query, latitude, longitude, formattedAddress, timezone }
+) {
+  await db.query(
+    `INSERT INTO geocode_cache
+     (query_key, original_query, latitude, longitude, formatted_address, timezone, provider, confidence, is_manual, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, 'manual', 1, TRUE, NULL)
+     ON DUPLICATE KEY UPDATE
+       latitude = VALUES(latitude),
+       longitude = VALUES(longitude),
+       formatted_address = VALUES(formatted_address),
+       timezone = VALUES(timezone),
+       provider = 'manual',
+       confidence = 1,
+       is_manual = TRUE,
+       expires_at = NULL`,
+    [
+      normalizeGeocodeQuery(query),
+      String(query).trim(),
+      latitude,
+      longitude,
+      formattedAddress,
+      timezone,
+    ]
+  );
+}
+
+module.exports = {
+  normalizeGeocodeQuery,
+  getCachedLocation,
+  storeCachedLocation,
+  upsertManualLocation,
+};
@@ -0,0 +1,242 @@
+// Location resolution for chart calculations.
+// A provider turns a free-text location into coordinates plus an IANA timezone.
+// GEOCODING_PROVIDER selects the primary provider ("google" or "offline") and
+// GEOCODING_FALLBACK names the provider to try when it fails ("none" disables it).
+const axios = require("axios");
+const cityTimezones = require("city-timezones");
+const { IANAZone } = require("luxon");
+
+// Google reports how precise a geocode is; map that onto a 0-1 confidence.
+const GOOGLE_LOCATION_TYPE_CONFIDENCE = {
+  ROOFTOP: 1,
+  RANGE_INTERPOLATED: 0.9,
+  GEOMETRIC_CENTER: 0.8,
+  APPROXIMATE: 0.7,
+};
+
+const googleProvider = {
+  name: "google",
+
+  /**
+   * Resolves a location through the Google Geocoding and Time Zone APIs.
+   * @param {string} location - Free-text location (e.g., "Paris, France").
+   * @param {import("luxon").DateTime} localTime - The local event time, used for the timezone lookup.
+   * @returns {Promise<object>} - The resolved location.
+   */
+  async resolve(location, localTime) {
+    const geocodingApiKey = process.env.GEOCODING_API_KEY;
+    if (!geocodingApiKey) {
+      throw new Error("GEOCODING_API_KEY not found on the server.");
+    }
+
+    const geocodeUrl = `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(
+      location
+    )}&key=${geocodingApiKey}`;
+    const geocodeResponse = await axios.get(geocodeUrl);
+    const geoData = geocodeResponse.data;
+
+    if (geoData.status !== "OK" || !geoData.results[0]) {
+      throw new Error("Could not geocode the provided location.");
+    }
+
+    const result = geoData.results[0];
+    const { lat, lng } = result.geometry.location;
+
+    const timezoneUrl = `https://maps.googleapis.com/maps/api/timezone/json?location=${lat},${lng}&timestamp=${localTime.toSeconds()}&key=${geocodingApiKey}`;
+    const timezoneResponse = await axios.get(timezoneUrl);
+    const tzData = timezoneResponse.data;
+
+    if (tzData.status !== "OK") {
+      throw new Error("Could not determine the timezone for the location.");
+    }
+
+    let confidence =
+      GOOGLE_LOCATION_TYPE_CONFIDENCE[result.geometry.location_type] ?? 0.7;
+    if (result.partial_match) confidence *= 0.8;
+
+    return {
+      latitude: lat,
+      longitude: lng,
+      formattedLocation: result.formatted_address,
+      timeZoneId: tzData.timeZoneId,
+      confidence,
+    };
+  },
+};
+
+// Common ways of writing a country that the dataset spells differently.
+const COUNTRY_ALIASES = {
+  uk: "gb",
+  england: "gb",
+  scotland: "gb",
+  wales: "gb",
+  "united states": "us",
+};
+
+const normalizeToken = (value) =>
+  String(value || "")
+    .trim()
+    .toLowerCase();
+
+const offlineProvider = {
+  name: "offline",
+
+  /**
+   * Resolves a location against the bundled city-timezones dataset.
+   * The first comma-separated part is treated as the city; any remaining parts
+   * are matched against province, state code, country, and ISO codes.
+   * @param {string} location - Free-text location (e.g., "Springfield, IL, USA").
+   * @returns {Promise<object>} - The resolved location.
+   */
+  async resolve(location) {
+    const [cityPart, ...qualifiers] = String(location || "")
+      .split(",")
+      .map(normalizeToken)
+      .filter(Boolean)
+      .map((token, index) => (index > 0 && COUNTRY_ALIASES[token]) || token);
+    if (!cityPart) {
+      throw new Error("Could not geocode the provided location.");
+    }
+
+    let candidates = cityTimezones.cityMapping.filter(
+      (c) =>
+        normalizeToken(c.city) === cityPart ||
+        normalizeToken(c.city_ascii) === cityPart
+    );
+    const exactCity = candidates.length > 0;
+    if (!exactCity) {
+      candidates = cityTimezones.findFromCityStateProvince(
+        [cityPart, ...qualifiers].join(" ")
+      );
+    }
+    if (candidates.length === 0) {
+      throw new Error("Could not geocode the provided location.");
+    }
+
+    let qualified = false;
+    if (qualifiers.length > 0) {
+      const matching = candidates.filter((c) => {
+        const fields = [c.province, c.state_ansi, c.country, c.iso2, c.iso3].map(
+          normalizeToken
+        );
+        return qualifiers.every((q) => fields.includes(q));
+      });
+      if (matching.length > 0) {
+        candidates = matching;
+        qualified = true;
+      }
+    }
+
+    // Prefer the most populous city when the name is still ambiguous.
+    const city = candidates.reduce((best, c) =>
+      (c.pop || 0) > (best.pop || 0) ? c : best
+    );
+
+    if (!IANAZone.isValidZone(city.timezone)) {
+      throw new Error(`Unknown timezone "${city.timezone}" for ${city.city}.`);
+    }
+
+    let confidence = exactCity ? 0.6 : 0.3;
+    if (qualified) confidence += 0.2;
+    if (candidates.length > 1) confidence -= 0.1;
+
+    return {
+      latitude: city.lat,
+      longitude: city.lng,
+      formattedLocation: [city.city, city.province, city.country]
+        .filter(Boolean)
+        .join(", "),
+      timeZoneId: city.timezone,
+      confidence: Number(confidence.toFixed(2)),
+    };
+  },
+};
+
+const providers = {
+  [googleProvider.name]: googleProvider,
+  [offlineProvider.name]: offlineProvider,
+};
+
+const getProvider = (name) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown geocoding provider "${name}".`);
+  }
+  return provider;
+};
+
+/**
+ * Resolves a location with the configured provider, falling back to the
+ * secondary provider when the primary one fails.
+ * @param {string} location - Free-text location.
+ * @param {import("luxon").DateTime} localTime - The local event time.
+ * @returns {Promise<{latitude: number, longitude: number, formattedLocation: string, timeZoneId: string, provider: string, confidence: number}>}
+ * @throws {Error} - Throws the primary provider's error if every provider fails.
+ */
+async function resolveLocation(location, localTime) {
+  const primaryName = process.env.GEOCODING_PROVIDER || "google";
+  const fallbackName = process.env.GEOCODING_FALLBACK || "offline";
+
+  const primary = getProvider(primaryName);
+  try {
+    const resolved = await primary.resolve(location, localTime);
+    return { ...resolved, provider: primary.name };
+  } catch (primaryError) {
+    if (fallbackName === "none" || fallbackName === primaryName) {
+      throw primaryError;
+    }
+
+    const fallback = getProvider(fallbackName);
+    console.warn(
+      `Geocoding provider "${primary.name}" failed (${primaryError.message}), falling back to "${fallback.name}".`
+    );
+    try {
+      const resolved = await fallback.resolve(location, localTime);
+      return { ...resolved, provider: fallback.name };
+    } catch {
+      throw primaryError;
+    }
+  }
+}
+
+/**
+ * Finds the IANA timezone for explicit coordinates using the nearest city in
+ * the offline dataset, so no remote lookup is needed.
+ * @param {number} latitude - Latitude in degrees.
+ * @param {number} longitude - Longitude in degrees.
+ * @returns {string} - The IANA timezone identifier.
+ */
+function findTimezoneForCoordinates(latitude, longitude) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const distance = (city) => {
+    const dLat = toRadians(city.lat - latitude);
+    const dLng = toRadians(city.lng - longitude);
+    const a =
+      Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(latitude)) *
+        Math.cos(toRadians(city.lat)) *
+        Math.sin(dLng / 2) ** 2;
+    return Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  };
+
+  let nearest = null;
+  let nearestDistance = Infinity;
+  for (const city of cityTimezones.cityMapping) {
+    const d = distance(city);
+    if (d < nearestDistance) {
+      nearest = city;
+      nearestDistance = d;
+    }
+  }
+
+  if (!nearest || !IANAZone.isValidZone(nearest.timezone)) {
+    throw new Error("Could not determine the timezone for the coordinates.");
+  }
+  return nearest.timezone;
+}
+
+module.exports = {
+  resolveLocation,
+  findTimezoneForCoordinates,
+  providers,
+};
@@ -0,0 +1,131 @@
+// House systems, house cusp calculation, and house placement.
+const sweph = require("swisseph");
+
+// Supported house systems, keyed by Swiss Ephemeris code.
+const HOUSE_SYSTEMS = {
+  P: "Placidus",
+  W: "Whole Sign",
+  E: "Equal",
+  K: "Koch",
+  R: "Regiomontanus",
+  C: "Campanus",
+  O: "Porphyry",
+  B: "Alcabitius",
+  M: "Morinus",
+};
+
+const DEFAULT_HOUSE_SYSTEM = "P";
+
+// Placidus and Koch are undefined inside the polar circles; fall back to Porphyry there.
+const POLAR_FALLBACK_HOUSE_SYSTEM = "O";
+
+/**
+ * Normalizes a house system given as a code ("P") or a name ("Placidus", "whole-sign").
+ * @param {string} value - The house system from a request or stored inputs.
+ * @returns {string | null} - The Swiss Ephemeris code, or null if it isn't supported.
+ */
+const normalizeHouseSystem = (value) => {
+  if (typeof value !== "string") return null;
+  const trimmed = value.trim();
+  if (HOUSE_SYSTEMS[trimmed.toUpperCase()] && trimmed.length === 1) {
+    return trimmed.toUpperCase();
+  }
+  const key = trimmed.toLowerCase().replace(/[\s_-]+/g, " ");
+  const match = Object.entries(HOUSE_SYSTEMS).find(
+    ([, name]) => name.toLowerCase() === key
+  );
+  return match ? match[0] : null;
+};
+
+/**
+ * Calculates house cusps and angles, falling back to Porphyry where the
+ * requested system is undefined (polar latitudes).
+ * @param {number} julianDayUT - The chart moment (UT).
+ * @param {number} flags - SEFLG_* flags (e.g., SEFLG_SIDEREAL).
+ * @param {number} latitude - Geographic latitude.
+ * @param {number} longitude - Geographic longitude.
+ * @param {string} houseSystem - Swiss Ephemeris house system code.
+ * @returns {object} - The swe_houses_ex result plus `system` (the code actually used).
+ * @throws {Error} - If the houses cannot be calculated even with the fallback.
+ */
+function calculateHouses(julianDayUT, flags, latitude, longitude, houseSystem) {
+  let system = houseSystem;
+  let result = sweph.swe_houses_ex(julianDayUT, flags, latitude, longitude, system);
+  if (result.error && system !== POLAR_FALLBACK_HOUSE_SYSTEM) {
+    system = POLAR_FALLBACK_HOUSE_SYSTEM;
+    result = sweph.swe_houses_ex(julianDayUT, flags, latitude, longitude, system);
+  }
+  if (result.error) {
+    throw new Error(`House calculation failed: ${result.error}`);
+  }
+  return { ...result, system };
+}
+
+/**
+ * Calculates house cusps and angles from a sidereal time (ARMC), for charts
+ * such as progressions whose angles are directed rather than observed. Falls
+ * back to Porphyry like calculateHouses. Results are tropical.
+ * @param {number} armc - Right ascension of the MC, in degrees.
+ * @param {number} latitude - Geographic latitude.
+ * @param {number} obliquity - True obliquity of the ecliptic, in degrees.
+ * @param {string} houseSystem - Swiss Ephemeris house system code.
+ * @returns {object} - The swe_houses_armc result plus `system` (the code actually used).
+ * @throws {Error} - If the houses cannot be calculated even with the fallback.
+ */
+function calculateHousesFromArmc(armc, latitude, obliquity, houseSystem) {
+  let system = houseSystem;
+  let result = sweph.swe_houses_armc(armc, latitude, obliquity, system);
+  if (result.error && system !== POLAR_FALLBACK_HOUSE_SYSTEM) {
+    system = POLAR_FALLBACK_HOUSE_SYSTEM;
+    result = sweph.swe_houses_armc(armc, latitude, obliquity, system);
+  }
+  if (result.error) {
+    throw new Error(`House calculation failed: ${result.error}`);
+  }
+  return { ...result, system };
+}
+
+/**
+ * Determines the house placement of a celestial body.
+ * @param {number} longitude - The celestial longitude of the planet.
+ * @param {Array<number>} houseCusps - An array of 12 house cusp longitudes.
+ * @returns {number | null} - The house number (1-12) or null if not found.
+ */
+const getHousePlacement = (longitude, houseCusps) => {
+  if (!houseCusps || houseCusps.length < 12) return null;
+  for (let i = 0; i < 12; i++) {
+    const cusp1 = houseCusps[i];
+    const cusp2 = houseCusps[(i + 1) % 12]; // Next cusp, wraps around from 12 to 1
+    if (cusp1 > cusp2) {
+      // Handle the case where the house crosses the 0° Aries point
+      if (longitude >= cusp1 || longitude < cusp2) return i + 1;
+    } else {
+      if (longitude >= cusp1 && longitude < cusp2) return i + 1;
+    }
+  }
+  return null;
+};
+
+/**
+ * A chart's positions plus its Ascendant and MC, so the angles take part in aspects.
+ * @param {object} chart - A chart with `positions` and optionally `houses`.
+ * @returns {Object<string, {longitude: number}>} - Positions keyed by name.
+ */
+const withAngles = (chart) => {
+  const positions = { ...chart.positions };
+  if (typeof chart.houses?.ascendant === "number") {
+    positions.Ascendant = { longitude: chart.houses.ascendant };
+    positions.MC = { longitude: chart.houses.mc };
+  }
+  return positions;
+};
+
+module.exports = {
+  HOUSE_SYSTEMS,
+  DEFAULT_HOUSE_SYSTEM,
+  normalizeHouseSystem,
+  calculateHouses,
+  calculateHousesFromArmc,
+  getHousePlacement,
+  withAngles,
+};
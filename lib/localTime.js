@@ -0,0 +1,166 @@
+// Conversion of a local wall-clock time to UTC, with explicit handling of
+// daylight-saving gaps and overlaps and a Local Mean Time mode for historical dates.
+const { DateTime, IANAZone } = require("luxon");
+
+const TIME_MODES = ["zone", "lmt"];
+const DST_RESOLUTIONS = ["earlier", "later"];
+
+// Offsets are sampled this far either side of the wall time to find the
+// offsets in effect before and after a transition.
+const TRANSITION_PROBE_MS = 12 * 60 * 60 * 1000;
+
+/**
+ * Thrown when a local time cannot be converted to UTC without a choice from the
+ * client. Routes translate it into a 409 response listing the options.
+ */
+class LocalTimeConflictError extends Error {
+  constructor(status, message, candidates) {
+    super(message);
+    this.name = "LocalTimeConflictError";
+    this.status = 409;
+    this.code =
+      status === "ambiguous" ? "AMBIGUOUS_LOCAL_TIME" : "NONEXISTENT_LOCAL_TIME";
+    this.localTimeStatus = status;
+    this.candidates = candidates;
+  }
+
+  toJSON() {
+    return {
+      error: this.message,
+      code: this.code,
+      status: this.localTimeStatus,
+      options: this.candidates,
+      hint: 'Resend the request with dstResolution set to "earlier" or "later".',
+    };
+  }
+}
+
+const toCandidate = (choice, wallMillis, offsetMinutes) => {
+  const utc = DateTime.fromMillis(wallMillis - offsetMinutes * 60000, {
+    zone: "utc",
+  });
+  return {
+    dstResolution: choice,
+    utcOffset: offsetMinutes / 60,
+    utc: utc.toISO(),
+  };
+};
+
+/**
+ * Converts a local wall-clock time to UTC.
+ *
+ * In "zone" mode the time is interpreted in the IANA zone (or fixed offset).
+ * A time that falls in a spring-forward gap is "nonexistent" and one that falls
+ * in a fall-back overlap is "ambiguous"; both require `dstResolution`, where
+ * "earlier" applies the offset in effect before the transition and "later" the
+ * offset in effect after it. In "lmt" mode the offset is derived from the
+ * longitude (4 minutes per degree) and no transitions apply.
+ *
+ * @param {object} params
+ * @param {string} params.isoString - Local date and time without an offset (e.g., "1990-05-15T14:30").
+ * @param {string|import("luxon").FixedOffsetZone|null} params.zone - IANA zone name or fixed-offset zone.
+ * @param {number} params.longitude - Longitude in degrees, used for LMT.
+ * @param {string} [params.timeMode="zone"] - "zone" or "lmt".
+ * @param {string} [params.dstResolution] - "earlier" or "later"; required for gaps and overlaps.
+ * @returns {{utcTime: DateTime, utcOffset: number, timeZone: string, resolution: object}}
+ * @throws {LocalTimeConflictError} - If the time is ambiguous or nonexistent and no resolution was given.
+ * @throws {Error} - If the date, time, or options are invalid.
+ */
+function resolveLocalTime({
+  isoString,
+  zone,
+  longitude,
+  timeMode = "zone",
+  dstResolution,
+}) {
+  if (!TIME_MODES.includes(timeMode)) {
+    throw new Error(`timeMode must be one of: ${TIME_MODES.join(", ")}.`);
+  }
+  if (dstResolution !== undefined && !DST_RESOLUTIONS.includes(dstResolution)) {
+    throw new Error(
+      `dstResolution must be one of: ${DST_RESOLUTIONS.join(", ")}.`
+    );
+  }
+
+  // Read the wall time as if it were UTC so it can be shifted by candidate offsets.
+  const wallTime = DateTime.fromISO(isoString, { zone: "utc" });
+  if (!wallTime.isValid) {
+    throw new Error(`Invalid date or time provided: ${wallTime.invalidReason}`);
+  }
+  const wallMillis = wallTime.toMillis();
+
+  if (timeMode === "lmt") {
+    const offsetMinutes = Math.round(longitude * 4 * 60) / 60;
+    return {
+      utcTime: DateTime.fromMillis(wallMillis - offsetMinutes * 60000, {
+        zone: "utc",
+      }),
+      utcOffset: offsetMinutes / 60,
+      timeZone: "LMT",
+      resolution: { mode: "lmt", status: "unique", dstResolution: null },
+    };
+  }
+
+  const tz = typeof zone === "string" ? IANAZone.create(zone) : zone;
+  if (!tz || !tz.isValid) {
+    throw new Error(`Unknown timezone "${zone}".`);
+  }
+
+  const offsetBefore = tz.offset(wallMillis - TRANSITION_PROBE_MS);
+  const offsetAfter = tz.offset(wallMillis + TRANSITION_PROBE_MS);
+  const candidates = [
+    toCandidate("earlier", wallMillis, offsetBefore),
+    toCandidate("later", wallMillis, offsetAfter),
+  ].filter(
+    (candidate, index, all) =>
+      index === 0 || candidate.utcOffset !== all[0].utcOffset
+  );
+
+  // A candidate is real when the zone actually uses that offset at that instant.
+  const valid = candidates.filter(
+    (candidate) =>
+      tz.offset(DateTime.fromISO(candidate.utc).toMillis()) / 60 ===
+      candidate.utcOffset
+  );
+
+  let status = "unique";
+  let chosen;
+  if (valid.length === 1) {
+    chosen = valid[0];
+  } else {
+    status = valid.length > 1 ? "ambiguous" : "nonexistent";
+    if (!dstResolution) {
+      throw new LocalTimeConflictError(
+        status,
+        status === "ambiguous"
+          ? `The local time ${isoString} occurs twice in ${tz.name} (daylight saving time ends).`
+          : `The local time ${isoString} does not exist in ${tz.name} (daylight saving time begins).`,
+        candidates
+      );
+    }
+    chosen =
+      candidates.find((c) => c.dstResolution === dstResolution) ||
+      candidates[0];
+  }
+
+  const offsetMinutes = chosen.utcOffset * 60;
+  return {
+    utcTime: DateTime.fromMillis(wallMillis - offsetMinutes * 60000, {
+      zone: "utc",
+    }),
+    utcOffset: chosen.utcOffset,
+    timeZone: tz.name,
+    resolution: {
+      mode: "zone",
+      status,
+      dstResolution: status === "unique" ? null : chosen.dstResolution,
+    },
+  };
+}
+
+module.exports = {
+  TIME_MODES,
+  DST_RESOLUTIONS,
+  LocalTimeConflictError,
+  resolveLocalTime,
+};
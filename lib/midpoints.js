@@ -0,0 +1,148 @@
+// Cosmobiology tools from a chart's stored positions: the midpoint list, the
+// 90° dial sort, planetary pictures, and harmonic charts.
+const { calculateAspects } = require("./aspects");
+const { withAngles } = require("./houses");
+const { midpoint } = require("./relationship");
+const { getZodiacSign, normalizeDegrees, angularDistance } = require("./zodiac");
+
+const DIAL_DEGREES = 90;
+const DEFAULT_PICTURE_ORB = 1.5;
+const MAX_PICTURE_ORB = 3;
+const MAX_HARMONIC = 180;
+
+// A point activates a midpoint by any multiple of 45°, which on the 90° dial
+// is the midpoint itself or the point directly across from it.
+const HARD_ASPECTS = ["conjunction", "semi-square", "square", "sesquiquadrate", "opposition"];
+
+/**
+ * Lists the midpoint of every pair of positions (on the shorter arc).
+ * @param {Object<string, {longitude: number}>} positions - Positions keyed by name.
+ * @returns {Array<object>} - { planet1, planet2, name, longitude, sign, sign_degrees, dialLongitude }.
+ */
+const listMidpoints = (positions) => {
+  const names = Object.keys(positions);
+  const midpoints = [];
+  for (let i = 0; i < names.length; i++) {
+    for (let j = i + 1; j < names.length; j++) {
+      const longitude = midpoint(positions[names[i]].longitude, positions[names[j]].longitude);
+      const signInfo = getZodiacSign(longitude);
+      midpoints.push({
+        planet1: names[i],
+        planet2: names[j],
+        name: `${names[i]}/${names[j]}`,
+        longitude,
+        sign: signInfo.sign,
+        sign_degrees: signInfo.degrees,
+        dialLongitude: longitude % DIAL_DEGREES,
+      });
+    }
+  }
+  return midpoints;
+};
+
+/**
+ * Finds the planetary pictures (A = B/C): points within an orb of a hard
+ * aspect to the midpoint of two other points.
+ */
+const findPlanetaryPictures = (positions, midpoints, orb) => {
+  const pictures = [];
+  for (const pair of midpoints) {
+    for (const [name, position] of Object.entries(positions)) {
+      if (name === pair.planet1 || name === pair.planet2) continue;
+      const arc = angularDistance(position.longitude, pair.longitude);
+      const multiple = Math.round(arc / 45);
+      const pictureOrb = Math.abs(arc - multiple * 45);
+      if (pictureOrb <= orb) {
+        pictures.push({
+          point: name,
+          midpoint: pair.name,
+          picture: `${name} = ${pair.name}`,
+          aspect: HARD_ASPECTS[multiple],
+          orb: pictureOrb,
+        });
+      }
+    }
+  }
+  return pictures.sort((a, b) => a.orb - b.orb);
+};
+
+/**
+ * Casts the Nth-harmonic chart: every longitude (and speed) multiplied by N,
+ * with the aspects recalculated between the harmonic positions.
+ * @param {Object<string, {longitude: number, speed?: number}>} positions - Positions keyed by name.
+ * @param {number} harmonic - The harmonic number (1 to MAX_HARMONIC).
+ * @param {string|object} [aspectProfile] - The aspect profile for the harmonic aspects.
+ * @returns {{harmonic: number, positions: object, aspects: Array<object>}}
+ */
+const calculateHarmonicChart = (positions, harmonic, aspectProfile) => {
+  const harmonicPositions = {};
+  for (const [name, position] of Object.entries(positions)) {
+    const longitude = normalizeDegrees(position.longitude * harmonic);
+    const signInfo = getZodiacSign(longitude);
+    harmonicPositions[name] = {
+      longitude,
+      sign: signInfo.sign,
+      sign_degrees: signInfo.degrees,
+      ...(typeof position.speed === "number" ? { speed: position.speed * harmonic } : {}),
+    };
+  }
+  return {
+    harmonic,
+    positions: harmonicPositions,
+    aspects: calculateAspects(harmonicPositions, aspectProfile),
+  };
+};
+
+/**
+ * Calculates the midpoint analysis of a chart. The Ascendant and MC take part
+ * when the chart has houses.
+ * @param {object} chart - A chart from calculateChart or stored event data.
+ * @param {object} [options]
+ * @param {number} [options.orb=1.5] - Orb in degrees for planetary pictures.
+ * @param {number} [options.harmonic] - When given, also cast this harmonic chart.
+ * @param {string|object} [options.aspectProfile] - Aspect profile for the harmonic chart
+ *   (defaults to the chart's own).
+ * @returns {object} - { midpoints, dialSort, planetaryPictures, harmonic? }. The dial sort
+ *   lists every point and midpoint by its position on the 90° dial.
+ */
+function calculateMidpointAnalysis(chart, { orb = DEFAULT_PICTURE_ORB, harmonic, aspectProfile } = {}) {
+  const positions = withAngles(chart);
+  const midpoints = listMidpoints(positions);
+
+  const dialSort = [
+    ...Object.entries(positions).map(([name, position]) => ({
+      name,
+      type: "point",
+      longitude: position.longitude,
+      dialLongitude: normalizeDegrees(position.longitude) % DIAL_DEGREES,
+    })),
+    ...midpoints.map(({ name, longitude, dialLongitude }) => ({
+      name,
+      type: "midpoint",
+      longitude,
+      dialLongitude,
+    })),
+  ].sort((a, b) => a.dialLongitude - b.dialLongitude);
+
+  const analysis = {
+    midpoints,
+    dialSort,
+    planetaryPictures: findPlanetaryPictures(positions, midpoints, orb),
+  };
+  if (harmonic) {
+    analysis.harmonic = calculateHarmonicChart(
+      positions,
+      harmonic,
+      aspectProfile || chart.meta?.aspectProfile
+    );
+  }
+  return analysis;
+}
+
+module.exports = {
+  DEFAULT_PICTURE_ORB,
+  MAX_PICTURE_ORB,
+  MAX_HARMONIC,
+  calculateHarmonicChart,
+  calculateMidpointAnalysis,
+};
@@ -0,0 +1,216 @@
+// Retrograde and station analysis from Swiss Ephemeris longitude speeds.
+const sweph = require("swisseph");
+const { getZodiacSign } = require("./zodiac");
+const { initEphemeris, fromJulianDay, calcBody } = require("./ephemeris");
+
+// Bodies that station. The luminaries never do, and the nodes and Lilith are
+// excluded because their "stations" are oscillation artefacts.
+const STATION_BODIES = {
+  Mercury: sweph.SE_MERCURY,
+  Venus: sweph.SE_VENUS,
+  Mars: sweph.SE_MARS,
+  Jupiter: sweph.SE_JUPITER,
+  Saturn: sweph.SE_SATURN,
+  Uranus: sweph.SE_URANUS,
+  Neptune: sweph.SE_NEPTUNE,
+  Pluto: sweph.SE_PLUTO,
+  Chiron: sweph.SE_CHIRON,
+  Ceres: sweph.SE_CERES,
+  Pallas: sweph.SE_PALLAS,
+  Juno: sweph.SE_JUNO,
+  Vesta: sweph.SE_VESTA,
+};
+
+// Default |speed| (degrees/day) below which a body counts as stationary.
+// Slower bodies spend longer near their stations, so their thresholds are smaller.
+const DEFAULT_STATION_THRESHOLDS = {
+  Mercury: 0.1,
+  Venus: 0.05,
+  Mars: 0.03,
+  Jupiter: 0.01,
+  Saturn: 0.005,
+  Uranus: 0.003,
+  Neptune: 0.002,
+  Pluto: 0.002,
+  Chiron: 0.003,
+  Ceres: 0.02,
+  Pallas: 0.02,
+  Juno: 0.02,
+  Vesta: 0.02,
+};
+
+const SEARCH_STEP_DAYS = 2;
+// Longest gap between stations of any station body (Mars, ~26 months) plus margin.
+const MAX_STATION_SEARCH_DAYS = 900;
+// Bisection stops once the bracket is narrower than one minute.
+const STATION_PRECISION_DAYS = 1 / 1440;
+
+const speedAt = (julianDay, bodyId, flags) => {
+  const result = calcBody(julianDay, bodyId, flags);
+  if (result.error) throw new Error(result.error);
+  return result.longitudeSpeed;
+};
+
+/**
+ * Narrows a bracket in which the speed changes sign down to the station moment.
+ * @returns {object} - The station ({ date, julianDay, type, longitude, sign, sign_degrees }).
+ */
+const refineStation = (bodyId, flags, jdLow, jdHigh) => {
+  let low = jdLow;
+  let high = jdHigh;
+  const lowSpeed = speedAt(low, bodyId, flags);
+  while (high - low > STATION_PRECISION_DAYS) {
+    const mid = (low + high) / 2;
+    if (Math.sign(speedAt(mid, bodyId, flags)) === Math.sign(lowSpeed)) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  const julianDay = (low + high) / 2;
+  const { longitude } = calcBody(julianDay, bodyId, flags);
+  const signInfo = getZodiacSign(longitude);
+  return {
+    date: fromJulianDay(julianDay).toISO(),
+    julianDay,
+    // Going from direct to retrograde is a retrograde station, and vice versa.
+    type: lowSpeed > 0 ? "retrograde" : "direct",
+    longitude,
+    sign: signInfo.sign,
+    sign_degrees: signInfo.degrees,
+  };
+};
+
+/**
+ * Finds the nearest station before or after a moment.
+ * @param {number} bodyId - Swiss Ephemeris body constant.
+ * @param {number} julianDay - The starting moment (UT).
+ * @param {1|-1} direction - 1 to search forward, -1 to search backward.
+ * @param {number} [flags=0] - Extra SEFLG_* flags (e.g., SEFLG_SIDEREAL).
+ * @param {number} [maxDays=900] - How far to search.
+ * @returns {object|null} - The station, or null if none was found in range.
+ */
+function findStation(
+  bodyId,
+  julianDay,
+  direction,
+  flags = 0,
+  maxDays = MAX_STATION_SEARCH_DAYS
+) {
+  let previousJd = julianDay;
+  let previousSpeed = speedAt(previousJd, bodyId, flags);
+
+  for (let offset = 0; offset < maxDays; ) {
+    offset = Math.min(offset + SEARCH_STEP_DAYS, maxDays);
+    const jd = julianDay + direction * offset;
+    const speed = speedAt(jd, bodyId, flags);
+    if (Math.sign(speed) !== Math.sign(previousSpeed)) {
+      return direction > 0
+        ? refineStation(bodyId, flags, previousJd, jd)
+        : refineStation(bodyId, flags, jd, previousJd);
+    }
+    previousJd = jd;
+    previousSpeed = speed;
+  }
+
+  return null;
+}
+
+/**
+ * Describes a body's motion at a moment for `chartData.positions`.
+ * @param {string} name - The body's name.
+ * @param {number} julianDay - The chart moment (UT).
+ * @param {number} speed - The body's longitude speed at that moment.
+ * @param {number} [flags=0] - Extra SEFLG_* flags used for the chart.
+ * @param {number} [stationThreshold] - Overrides the body's default stationary threshold.
+ * @returns {{retrograde: boolean, stationary: boolean, previousStation?: object|null, nextStation?: object|null}}
+ */
+function describeMotion(name, julianDay, speed, flags = 0, stationThreshold) {
+  const motion = { retrograde: speed < 0, stationary: false };
+  // Retrograde motion is an effect of watching from the moving Earth.
+  if (flags & sweph.SEFLG_HELCTR) return motion;
+
+  const bodyId = STATION_BODIES[name];
+  if (bodyId === undefined) return motion;
+
+  const threshold = stationThreshold ?? DEFAULT_STATION_THRESHOLDS[name];
+  motion.stationary = Math.abs(speed) <= threshold;
+
+  initEphemeris();
+  try {
+    motion.previousStation = findStation(bodyId, julianDay, -1, flags);
+    motion.nextStation = findStation(bodyId, julianDay, 1, flags);
+  } catch (err) {
+    console.warn(`Station search failed for ${name}:`, err.message);
+  }
+  return motion;
+}
+
+/**
+ * Lists the retrograde periods of a body that overlap a date range.
+ * A period already underway at the start (or still running at the end) is
+ * included, with the station outside the range found by searching past it.
+ * @param {string} name - A key of STATION_BODIES.
+ * @param {number} startJd - Start of the range (UT).
+ * @param {number} endJd - End of the range (UT).
+ * @param {number} [flags=0] - Extra SEFLG_* flags (e.g., SEFLG_SIDEREAL).
+ * @returns {Array<{stationRetrograde: object|null, stationDirect: object|null, durationDays: number|null}>}
+ */
+function findRetrogradePeriods(name, startJd, endJd, flags = 0) {
+  const bodyId = STATION_BODIES[name];
+  if (bodyId === undefined) {
+    throw new Error(
+      `${name} has no retrograde periods. Available bodies: ${Object.keys(
+        STATION_BODIES
+      ).join(", ")}.`
+    );
+  }
+
+  initEphemeris();
+  const periods = [];
+  let current = null;
+
+  if (speedAt(startJd, bodyId, flags) < 0) {
+    current = {
+      stationRetrograde: findStation(bodyId, startJd, -1, flags),
+      stationDirect: null,
+    };
+  }
+
+  let jd = startJd;
+  while (jd < endJd) {
+    const station = findStation(bodyId, jd, 1, flags, endJd - jd);
+    if (!station) break;
+
+    if (station.type === "retrograde") {
+      current = { stationRetrograde: station, stationDirect: null };
+    } else {
+      periods.push({ ...(current || { stationRetrograde: null }), stationDirect: station });
+      current = null;
+    }
+    // Step past the station so the next search starts on the other side of it.
+    jd = station.julianDay + STATION_PRECISION_DAYS;
+  }
+
+  if (current) {
+    current.stationDirect = findStation(bodyId, endJd, 1, flags);
+    periods.push(current);
+  }
+
+  return periods.map((period) => ({
+    ...period,
+    durationDays:
+      period.stationRetrograde && period.stationDirect
+        ? period.stationDirect.julianDay - period.stationRetrograde.julianDay
+        : null,
+  }));
+}
+
+module.exports = {
+  STATION_BODIES,
+  DEFAULT_STATION_THRESHOLDS,
+  findStation,
+  describeMotion,
+  findRetrogradePeriods,
+};
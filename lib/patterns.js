@@ -0,0 +1,256 @@
+// Aspect pattern detection (grand trines, T-squares, yods, stelliums, ...)
+// over a chart's pairwise aspects and positions.
+const { getElement } = require("./dignities");
+const { SIGNS, angularDistance } = require("./zodiac");
+
+// Points that only mirror another point; they would turn every aspect to
+// their counterpart into a trivial opposition.
+const MIRROR_POINTS = ["South Node", "Anti-Vertex"];
+
+// Bodies counted towards stelliums.
+const STELLIUM_BODIES = [
+  "Sun",
+  "Moon",
+  "Mercury",
+  "Venus",
+  "Mars",
+  "Jupiter",
+  "Saturn",
+  "Uranus",
+  "Neptune",
+  "Pluto",
+];
+
+const MIN_STELLIUM_SIZE = 3;
+
+const pairKey = (a, b, aspect) => [a, b].sort().join("|") + `|${aspect}`;
+
+/**
+ * Indexes the chart's aspects by pair and type, skipping mirror points.
+ */
+const indexAspects = (aspects) => {
+  const index = new Map();
+  const byType = {};
+  for (const aspect of aspects) {
+    if (
+      MIRROR_POINTS.includes(aspect.planet1) ||
+      MIRROR_POINTS.includes(aspect.planet2)
+    ) {
+      continue;
+    }
+    index.set(pairKey(aspect.planet1, aspect.planet2, aspect.aspect), aspect);
+    (byType[aspect.aspect] = byType[aspect.aspect] || []).push(aspect);
+  }
+  const find = (a, b, type) => index.get(pairKey(a, b, type)) || null;
+  const ofType = (type) => byType[type] || [];
+  return { find, ofType };
+};
+
+const describePattern = (type, bodies, aspects, extra = {}) => ({
+  type,
+  bodies,
+  ...extra,
+  tightestOrb: Math.min(...aspects.map((aspect) => aspect.orb)),
+});
+
+const findGrandTrines = ({ find, ofType }, positions) => {
+  const patterns = [];
+  const seen = new Set();
+  for (const { planet1: a, planet2: b } of ofType("trine")) {
+    for (const c of Object.keys(positions)) {
+      const ac = find(a, c, "trine");
+      const bc = find(b, c, "trine");
+      if (!ac || !bc) continue;
+      const bodies = [a, b, c].sort();
+      if (seen.has(bodies.join("|"))) continue;
+      seen.add(bodies.join("|"));
+
+      const elements = new Set(
+        bodies.map((body) =>
+          getElement(SIGNS.indexOf(positions[body].sign))
+        )
+      );
+      patterns.push(
+        describePattern("grand-trine", bodies, [find(a, b, "trine"), ac, bc], {
+          element: elements.size === 1 ? [...elements][0] : null,
+        })
+      );
+    }
+  }
+  return patterns;
+};
+
+const findTSquares = ({ find, ofType }, positions) => {
+  const patterns = [];
+  for (const opposition of ofType("opposition")) {
+    const { planet1: a, planet2: b } = opposition;
+    for (const apex of Object.keys(positions)) {
+      const squareA = find(a, apex, "square");
+      const squareB = find(b, apex, "square");
+      if (!squareA || !squareB) continue;
+      patterns.push(
+        describePattern("t-square", [a, b, apex], [opposition, squareA, squareB], {
+          apex,
+        })
+      );
+    }
+  }
+  return patterns;
+};
+
+/**
+ * Grand crosses and mystic rectangles are both built from two oppositions.
+ */
+const findOppositionQuartets = ({ find, ofType }) => {
+  const patterns = [];
+  const oppositions = ofType("opposition");
+  for (let i = 0; i < oppositions.length; i++) {
+    for (let j = i + 1; j < oppositions.length; j++) {
+      const { planet1: a, planet2: b } = oppositions[i];
+      const { planet1: c, planet2: d } = oppositions[j];
+      if (new Set([a, b, c, d]).size < 4) continue;
+      const bodies = [a, b, c, d].sort();
+
+      const squares = [find(a, c, "square"), find(a, d, "square"), find(b, c, "square"), find(b, d, "square")];
+      if (squares.every(Boolean)) {
+        patterns.push(
+          describePattern("grand-cross", bodies, [oppositions[i], oppositions[j], ...squares])
+        );
+        continue;
+      }
+
+      // Each side is a sextile on one diagonal pairing and a trine on the other.
+      for (const [x, y] of [[c, d], [d, c]]) {
+        const sides = [
+          find(a, x, "sextile"),
+          find(b, y, "sextile"),
+          find(a, y, "trine"),
+          find(b, x, "trine"),
+        ];
+        if (sides.every(Boolean)) {
+          patterns.push(
+            describePattern("mystic-rectangle", bodies, [oppositions[i], oppositions[j], ...sides])
+          );
+          break;
+        }
+      }
+    }
+  }
+  return patterns;
+};
+
+const findYods = ({ find, ofType }, positions) => {
+  const patterns = [];
+  for (const sextile of ofType("sextile")) {
+    const { planet1: a, planet2: b } = sextile;
+    for (const apex of Object.keys(positions)) {
+      const quincunxA = find(a, apex, "quincunx");
+      const quincunxB = find(b, apex, "quincunx");
+      if (!quincunxA || !quincunxB) continue;
+      patterns.push(
+        describePattern("yod", [a, b, apex], [sextile, quincunxA, quincunxB], {
+          apex,
+        })
+      );
+    }
+  }
+  return patterns;
+};
+
+const findKites = ({ find }, positions, grandTrines) => {
+  const patterns = [];
+  for (const grandTrine of grandTrines) {
+    for (const apex of Object.keys(positions)) {
+      if (grandTrine.bodies.includes(apex)) continue;
+      for (const opposite of grandTrine.bodies) {
+        const [x, y] = grandTrine.bodies.filter((body) => body !== opposite);
+        const aspects = [
+          find(apex, opposite, "opposition"),
+          find(apex, x, "sextile"),
+          find(apex, y, "sextile"),
+        ];
+        if (!aspects.every(Boolean)) continue;
+        patterns.push({
+          ...describePattern("kite", [...grandTrine.bodies, apex], aspects, {
+            apex,
+          }),
+          tightestOrb: Math.min(
+            grandTrine.tightestOrb,
+            ...aspects.map((aspect) => aspect.orb)
+          ),
+        });
+      }
+    }
+  }
+  return patterns;
+};
+
+/**
+ * Groups STELLIUM_BODIES by a key (sign or house) and reports groups of three or more.
+ */
+const findStelliums = (positions, by) => {
+  const groups = {};
+  for (const body of STELLIUM_BODIES) {
+    const value = positions[body]?.[by];
+    if (value === undefined || value === null) continue;
+    (groups[value] = groups[value] || []).push(body);
+  }
+
+  return Object.entries(groups)
+    .filter(([, bodies]) => bodies.length >= MIN_STELLIUM_SIZE)
+    .map(([value, bodies]) => {
+      let tightestOrb = Infinity;
+      for (let i = 0; i < bodies.length; i++) {
+        for (let j = i + 1; j < bodies.length; j++) {
+          tightestOrb = Math.min(
+            tightestOrb,
+            angularDistance(positions[bodies[i]].longitude, positions[bodies[j]].longitude)
+          );
+        }
+      }
+      return {
+        type: "stellium",
+        by,
+        [by]: by === "house" ? Number(value) : value,
+        bodies,
+        tightestOrb,
+      };
+    });
+};
+
+/**
+ * Detects aspect patterns and stelliums in a chart.
+ * T-squares that are part of a grand cross are not reported separately.
+ * @param {object} chartData - The chart, with `positions` and `aspects`.
+ * @returns {Array<{type: string, bodies: Array<string>, apex?: string, tightestOrb: number}>}
+ */
+function detectAspectPatterns(chartData) {
+  const positions = chartData?.positions || {};
+  const aspects = chartData?.aspects || [];
+  const index = indexAspects(aspects);
+
+  const grandTrines = findGrandTrines(index, positions);
+  const quartets = findOppositionQuartets(index);
+  const grandCrosses = quartets.filter((pattern) => pattern.type === "grand-cross");
+  const tSquares = findTSquares(index, positions).filter(
+    (tSquare) =>
+      !grandCrosses.some((cross) =>
+        tSquare.bodies.every((body) => cross.bodies.includes(body))
+      )
+  );
+
+  return [
+    ...grandTrines,
+    ...findKites(index, positions, grandTrines),
+    ...quartets,
+    ...tSquares,
+    ...findYods(index, positions),
+    ...findStelliums(positions, "sign"),
+    ...findStelliums(positions, "house"),
+  ];
+}
+
+module.exports = {
+  STELLIUM_BODIES,
+  detectAspectPatterns,
+};
@@ -0,0 +1,174 @@
+// Secondary progressions (with progressed angles) and solar arc directions.
+const sweph = require("swisseph");
+const { DateTime } = require("luxon");
+const { STANDARD_BODIES, EXTENDED_BODIES } = require("./bodies");
+const { calculateCrossAspects } = require("./aspects");
+const {
+  HOUSE_SYSTEMS,
+  DEFAULT_HOUSE_SYSTEM,
+  calculateHouses,
+  calculateHousesFromArmc,
+  getHousePlacement,
+  withAngles,
+} = require("./houses");
+const {
+  applyZodiac,
+  getZodiacSign,
+  normalizeDegrees,
+  signedArc,
+} = require("./zodiac");
+const {
+  initEphemeris,
+  toJulianDay,
+  fromJulianDay,
+  getChartMoment,
+  calcBody,
+} = require("./ephemeris");
+
+// How the progressed MC moves: by the Sun's mean daily motion per year
+// (Naibod), or by the progressed Sun's actual arc in right ascension.
+const ANGLE_METHODS = ["naibod", "solar-arc"];
+const DEFAULT_ANGLE_METHOD = "naibod";
+
+// One day of ephemeris time per tropical year of life.
+const TROPICAL_YEAR_DAYS = 365.242199;
+const NAIBOD_RATE = 0.98564733;
+
+// Progressed and directed contacts are timed events, so only tight major aspects count.
+const PROGRESSION_ASPECT_PROFILE = {
+  orbs: { conjunction: 1, opposition: 1, trine: 1, square: 1, sextile: 1 },
+};
+
+const CALCULATED_BODIES = { ...STANDARD_BODIES, ...EXTENDED_BODIES };
+
+const describeLongitude = (longitude) => {
+  const signInfo = getZodiacSign(longitude);
+  return { longitude, sign: signInfo.sign, sign_degrees: signInfo.degrees };
+};
+
+/**
+ * Calculates secondary progressions and solar arc directions for a natal chart.
+ * @param {object} natalChart - A chart from calculateChart or stored event data.
+ * @param {object} [options]
+ * @param {DateTime} [options.targetDate] - The moment to progress to (defaults to now).
+ * @param {string} [options.angleMethod="naibod"] - One of ANGLE_METHODS.
+ * @param {boolean} [options.converse=false] - Progress backwards from birth instead.
+ * @returns {object} - { natalDate, targetDate, converse, angleMethod, elapsedYears, secondary, solarArc }.
+ * @throws {Error} - If the natal chart has no date or coordinates.
+ */
+function calculateProgressions(natalChart, options = {}) {
+  const natalMoment = getChartMoment(natalChart);
+  const { latitude, longitude } = natalChart.meta || {};
+  if (!natalMoment.isValid || typeof latitude !== "number" || typeof longitude !== "number") {
+    throw new Error("The natal chart needs a valid date and coordinates.");
+  }
+
+  const targetDate = (options.targetDate || DateTime.utc()).toUTC();
+  const angleMethod = options.angleMethod || DEFAULT_ANGLE_METHOD;
+  const converse = Boolean(options.converse);
+  const inputs = natalChart.meta.inputs || {};
+  const houseSystem = HOUSE_SYSTEMS[inputs.houseSystem]
+    ? inputs.houseSystem
+    : DEFAULT_HOUSE_SYSTEM;
+
+  initEphemeris();
+  const natalJd = toJulianDay(natalMoment);
+  const elapsedYears = (toJulianDay(targetDate) - natalJd) / TROPICAL_YEAR_DAYS;
+  const progressedJd = natalJd + (converse ? -elapsedYears : elapsedYears);
+  const flags = applyZodiac(inputs.zodiac, inputs.ayanamsa);
+
+  // --- Progressed bodies ---
+  const positions = {};
+  for (const name of Object.keys(natalChart.positions || {})) {
+    const bodyId = CALCULATED_BODIES[name];
+    if (bodyId === undefined) continue;
+    const result = calcBody(progressedJd, bodyId, flags);
+    if (result.error) continue;
+    positions[name] = {
+      ...describeLongitude(result.longitude),
+      latitude: result.latitude,
+      speed: result.longitudeSpeed,
+      retrograde: result.longitudeSpeed < 0,
+    };
+  }
+
+  // --- Progressed angles, directed from the natal ARMC ---
+  const natalArmc = calculateHouses(natalJd, 0, latitude, longitude, houseSystem).armc;
+  let raArc;
+  if (angleMethod === "solar-arc") {
+    const sunRa = (jd) =>
+      calcBody(jd, sweph.SE_SUN, sweph.SEFLG_EQUATORIAL).rectAscension;
+    raArc = signedArc(sunRa(natalJd), sunRa(progressedJd));
+  } else {
+    raArc = (converse ? -elapsedYears : elapsedYears) * NAIBOD_RATE;
+  }
+  const obliquity = sweph.swe_calc_ut(progressedJd, sweph.SE_ECL_NUT, 0).longitude;
+  const progressedHouses = calculateHousesFromArmc(
+    normalizeDegrees(natalArmc + raArc),
+    latitude,
+    obliquity,
+    houseSystem
+  );
+  // Houses from an ARMC are tropical; shift them like the bodies for sidereal charts.
+  const ayanamsa = flags ? sweph.swe_get_ayanamsa_ut(progressedJd) : 0;
+  const toZodiac = (value) => normalizeDegrees(value - ayanamsa);
+  const houses = {
+    system: progressedHouses.system,
+    name: HOUSE_SYSTEMS[progressedHouses.system],
+    ascendant: toZodiac(progressedHouses.ascendant),
+    mc: toZodiac(progressedHouses.mc),
+    cusps: progressedHouses.house.slice(0, 12).map(toZodiac),
+  };
+
+  for (const position of Object.values(positions)) {
+    position.house = getHousePlacement(position.longitude, houses.cusps);
+    position.natalHouse = getHousePlacement(
+      position.longitude,
+      natalChart.houses?.cusps
+    );
+  }
+
+  const natalPoints = withAngles(natalChart);
+
+  // --- Solar arc directions ---
+  const arc = positions.Sun
+    ? signedArc(natalChart.positions.Sun.longitude, positions.Sun.longitude)
+    : 0;
+  const directed = {};
+  for (const [name, position] of Object.entries(natalPoints)) {
+    directed[name] = describeLongitude(normalizeDegrees(position.longitude + arc));
+  }
+
+  return {
+    natalDate: natalMoment.toISO(),
+    targetDate: targetDate.toISO(),
+    converse,
+    angleMethod,
+    elapsedYears,
+    secondary: {
+      progressedDate: fromJulianDay(progressedJd).toISO(),
+      positions,
+      houses,
+      aspectsToNatal: calculateCrossAspects(
+        withAngles({ positions, houses }),
+        natalPoints,
+        PROGRESSION_ASPECT_PROFILE
+      ),
+    },
+    solarArc: {
+      arc,
+      positions: directed,
+      aspectsToNatal: calculateCrossAspects(
+        directed,
+        natalPoints,
+        PROGRESSION_ASPECT_PROFILE
+      ),
+    },
+  };
+}
+
+module.exports = {
+  ANGLE_METHODS,
+  DEFAULT_ANGLE_METHOD,
+  calculateProgressions,
+};
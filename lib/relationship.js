@@ -0,0 +1,154 @@
+// Relationship charts built from two stored charts: the midpoint composite
+// and the Davison (time/space midpoint) chart.
+const { DateTime } = require("luxon");
+const { calculateAspects } = require("./aspects");
+const { getHousePlacement } = require("./houses");
+const {
+  getZodiacSign,
+  normalizeDegrees,
+  signedArc,
+  angularDistance,
+} = require("./zodiac");
+const { getChartMoment } = require("./ephemeris");
+
+const MIDPOINT_CONVENTIONS = ["near", "far"];
+
+/**
+ * The midpoint of two longitudes: on the shorter arc ("near") or the longer one ("far").
+ * @param {number} a - The first longitude.
+ * @param {number} b - The second longitude.
+ * @param {string} [convention="near"] - One of MIDPOINT_CONVENTIONS.
+ * @returns {number} - The midpoint longitude.
+ */
+const midpoint = (a, b, convention = "near") => {
+  const shortArc = signedArc(a, b);
+  const near = normalizeDegrees(a + shortArc / 2);
+  return convention === "far" ? normalizeDegrees(near + 180) : near;
+};
+
+/**
+ * Describes why two charts can't be combined (different zodiacs), or null if they can.
+ * @returns {string | null}
+ */
+const getZodiacMismatch = (chart1, chart2) => {
+  const zodiac1 = chart1.meta?.zodiac || { type: "tropical" };
+  const zodiac2 = chart2.meta?.zodiac || { type: "tropical" };
+  if (zodiac1.type !== zodiac2.type || zodiac1.ayanamsa !== zodiac2.ayanamsa) {
+    return "Both charts must use the same zodiac (and ayanamsa) to be combined.";
+  }
+  return null;
+};
+
+/**
+ * Composite house cusps: the composite MC follows the midpoint convention, and
+ * every other cusp is the midpoint of the matching cusps taken on whichever
+ * side keeps it in order around that MC.
+ */
+const compositeHouses = (houses1, houses2, convention) => {
+  const mc = midpoint(houses1.mc, houses2.mc, convention);
+  const cusps = houses1.cusps.map((cusp, index) => {
+    const near = midpoint(cusp, houses2.cusps[index]);
+    // Cusp 10 (index 9) is the MC; the others sit roughly 30° apart from it.
+    const expected = normalizeDegrees(mc + (index - 9) * 30);
+    const far = normalizeDegrees(near + 180);
+    return angularDistance(near, expected) <= angularDistance(far, expected)
+      ? near
+      : far;
+  });
+  cusps[9] = mc;
+  return { ascendant: cusps[0], mc, cusps };
+};
+
+/**
+ * Builds a midpoint composite chart from two charts.
+ * @param {object} chart1 - The first chart (calculateChart output or stored event data).
+ * @param {object} chart2 - The second chart.
+ * @param {object} [options]
+ * @param {string} [options.midpoint="near"] - One of MIDPOINT_CONVENTIONS.
+ * @param {string} [options.aspectProfile] - The aspect profile for the composite's aspects.
+ * @returns {object} - A chart shaped like calculateChart's output (positions carry no speed).
+ */
+function calculateComposite(chart1, chart2, options = {}) {
+  const convention = options.midpoint || "near";
+  const aspectProfile =
+    options.aspectProfile || chart1.meta?.aspectProfile || undefined;
+
+  const houses =
+    chart1.houses?.cusps && chart2.houses?.cusps
+      ? compositeHouses(chart1.houses, chart2.houses, convention)
+      : null;
+
+  const positions = {};
+  for (const [name, position1] of Object.entries(chart1.positions || {})) {
+    const position2 = chart2.positions?.[name];
+    if (!position2) continue;
+    const longitude = midpoint(position1.longitude, position2.longitude, convention);
+    const signInfo = getZodiacSign(longitude);
+    positions[name] = {
+      longitude,
+      latitude:
+        typeof position1.latitude === "number" && typeof position2.latitude === "number"
+          ? (position1.latitude + position2.latitude) / 2
+          : undefined,
+      sign: signInfo.sign,
+      sign_degrees: signInfo.degrees,
+      house: houses ? getHousePlacement(longitude, houses.cusps) : null,
+    };
+  }
+
+  return {
+    meta: {
+      type: "composite",
+      midpoint: convention,
+      aspectProfile: aspectProfile || null,
+      zodiac: chart1.meta?.zodiac || { type: "tropical" },
+    },
+    positions,
+    houses: houses
+      ? { system: "composite", name: "Composite (midpoint cusps)", ...houses }
+      : null,
+    aspects: calculateAspects(positions, aspectProfile),
+  };
+}
+
+/**
+ * Finds the Davison moment and place: the midpoint in time of the two births
+ * and the midpoint of their latitudes and (along the shorter arc) longitudes.
+ * @param {object} chart1 - The first chart.
+ * @param {object} chart2 - The second chart.
+ * @returns {{utcTime: DateTime, latitude: number, longitude: number}}
+ * @throws {Error} - If either chart lacks a usable date or coordinates.
+ */
+function getDavisonMidpoint(chart1, chart2) {
+  const moment1 = getChartMoment(chart1);
+  const moment2 = getChartMoment(chart2);
+  if (!moment1.isValid || !moment2.isValid) {
+    throw new Error("Both charts need a valid date for a Davison chart.");
+  }
+  const coordinates = [chart1, chart2].map((chart) => chart.meta);
+  if (
+    coordinates.some(
+      (meta) => typeof meta?.latitude !== "number" || typeof meta?.longitude !== "number"
+    )
+  ) {
+    throw new Error("Both charts need coordinates for a Davison chart.");
+  }
+
+  const utcTime = DateTime.fromMillis(
+    (moment1.toMillis() + moment2.toMillis()) / 2,
+    { zone: "utc" }
+  );
+  const latitude = (coordinates[0].latitude + coordinates[1].latitude) / 2;
+  let longitude = midpoint(coordinates[0].longitude, coordinates[1].longitude);
+  if (longitude > 180) longitude -= 360;
+
+  return { utcTime, latitude, longitude };
+}
+
+module.exports = {
+  MIDPOINT_CONVENTIONS,
+  midpoint,
+  getZodiacMismatch,
+  calculateComposite,
+  getDavisonMidpoint,
+};
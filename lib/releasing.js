@@ -0,0 +1,137 @@
+// Zodiacal releasing (Vettius Valens): time-lord periods released from the
+// sign of the Lot of Fortune or Spirit, subdivided down to four levels.
+const { SIGNS } = require("./zodiac");
+const { calculateDerivedPoints } = require("./bodies");
+const { getSignRuler } = require("./dignities");
+const { toJulianDay, fromJulianDay, getChartMoment } = require("./ephemeris");
+
+const RELEASING_LOTS = {
+  fortune: "Part of Fortune",
+  spirit: "Part of Spirit",
+};
+
+// Minor years of each sign's ruler, Aries to Pisces. Capricorn takes 27
+// rather than Saturn's 30, as in Valens.
+const SIGN_PERIODS = [15, 8, 20, 25, 19, 20, 8, 15, 12, 27, 30, 12];
+
+// Valens counts 360-day years (so level 2 "months" are 30 days); "calendar"
+// stretches every level to Gregorian years.
+const YEAR_LENGTHS = { valens: 360, calendar: 365.2425 };
+const DEFAULT_YEAR_LENGTH = "valens";
+const MAX_LEVEL = 4;
+
+// Periods in signs angular to the lot are its peaks: the 10th from the lot most
+// of all, then the lot's own sign and the 7th, with the 4th the quietest.
+const PEAKS = { 10: "major", 1: "moderate", 7: "moderate", 4: "minor" };
+
+/**
+ * Splits a span into consecutive sign periods, starting from a sign. When the
+ * signs come round to the start again, the sequence jumps to the opposite
+ * sign instead (the loosing of the bond).
+ */
+const releasePeriods = (startJd, endJd, startSign, level, yearDays) => {
+  const unit = yearDays / 12 ** (level - 1);
+  const periods = [];
+  let sign = startSign;
+  let jd = startJd;
+  for (let count = 0; jd < endJd; count++) {
+    const loosingOfBond = count === 12;
+    if (loosingOfBond) sign = (startSign + 6) % 12;
+    const periodEnd = Math.min(jd + SIGN_PERIODS[sign] * unit, endJd);
+    periods.push({ sign, startJd: jd, endJd: periodEnd, loosingOfBond });
+    jd = periodEnd;
+    sign = (sign + 1) % 12;
+  }
+  return periods;
+};
+
+/**
+ * Calculates the zodiacal releasing periods that overlap a window.
+ * @param {object} chart - A chart from calculateChart or stored event data (with houses).
+ * @param {object} options
+ * @param {DateTime} options.startDate - Start of the window.
+ * @param {DateTime} options.endDate - End of the window.
+ * @param {string} [options.lot="fortune"] - A key of RELEASING_LOTS.
+ * @param {number} [options.levels=2] - How many levels to subdivide into (1 to 4).
+ * @param {string} [options.yearLength="valens"] - A key of YEAR_LENGTHS.
+ * @returns {object} - { lot, lotLongitude, lotSign, yearLength, periods }, where each period
+ *   is { level, sign, ruler, startDate, endDate, houseFromLot, peak, loosingOfBond, periods? }.
+ * @throws {Error} - If the chart has no date, Ascendant, Sun, or Moon.
+ */
+function calculateZodiacalReleasing(chart, options) {
+  const lot = options.lot || "fortune";
+  const levels = options.levels || 2;
+  const yearLength = options.yearLength || DEFAULT_YEAR_LENGTH;
+  const yearDays = YEAR_LENGTHS[yearLength];
+
+  const birth = getChartMoment(chart);
+  const ascendant = chart.houses?.ascendant;
+  if (!birth.isValid || typeof ascendant !== "number") {
+    throw new Error("Zodiacal releasing needs a chart with a valid date and houses.");
+  }
+  const lotName = RELEASING_LOTS[lot];
+  const lotPoint = calculateDerivedPoints([lotName], chart.positions || {}, {
+    ascendant,
+  })[lotName];
+  if (!lotPoint) {
+    throw new Error("Zodiacal releasing needs the Sun and Moon positions.");
+  }
+
+  const lotSign = Math.floor(lotPoint.longitude / 30);
+  const windowStart = toJulianDay(options.startDate);
+  const windowEnd = toJulianDay(options.endDate);
+
+  const describe = (period, level) => {
+    const houseFromLot = ((period.sign - lotSign + 12) % 12) + 1;
+    return {
+      level,
+      sign: SIGNS[period.sign],
+      ruler: getSignRuler(SIGNS[period.sign]),
+      startDate: fromJulianDay(period.startJd).toISO(),
+      endDate: fromJulianDay(period.endJd).toISO(),
+      houseFromLot,
+      peak: PEAKS[houseFromLot] || null,
+      loosingOfBond: period.loosingOfBond,
+    };
+  };
+
+  const expand = (periods, level) =>
+    periods
+      .filter((period) => period.endJd > windowStart && period.startJd < windowEnd)
+      .map((period) => {
+        const described = describe(period, level);
+        if (level < levels) {
+          described.periods = expand(
+            releasePeriods(period.startJd, period.endJd, period.sign, level + 1, yearDays),
+            level + 1
+          );
+        }
+        return described;
+      });
+
+  // Level 1 runs on from birth; a full round of signs is 211 years, so it never
+  // looses the bond. It is released past the window so the last period isn't cut short.
+  const level1 = releasePeriods(
+    toJulianDay(birth),
+    windowEnd + Math.max(...SIGN_PERIODS) * yearDays,
+    lotSign,
+    1,
+    yearDays
+  );
+
+  return {
+    lot,
+    lotLongitude: lotPoint.longitude,
+    lotSign: SIGNS[lotSign],
+    yearLength,
+    periods: expand(level1, 1),
+  };
+}
+
+module.exports = {
+  RELEASING_LOTS,
+  SIGN_PERIODS,
+  YEAR_LENGTHS,
+  MAX_LEVEL,
+  calculateZodiacalReleasing,
+};
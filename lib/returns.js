@@ -0,0 +1,55 @@
+// Solar and lunar returns: the moment a body comes back to its natal longitude.
+const sweph = require("swisseph");
+const { initEphemeris, fromJulianDay, calcBody } = require("./ephemeris");
+const { normalizeDegrees, signedArc } = require("./zodiac");
+
+// Return types, with the body and its mean daily motion used for the first guess.
+const RETURN_TYPES = {
+  solar: { body: sweph.SE_SUN, name: "Sun", meanSpeed: 0.9856 },
+  lunar: { body: sweph.SE_MOON, name: "Moon", meanSpeed: 13.1764 },
+};
+
+// Newton's method converges in a handful of steps; this is a safety limit.
+const MAX_ITERATIONS = 20;
+// About a millisecond of the Moon's motion.
+const LONGITUDE_PRECISION = 1e-7;
+
+/**
+ * Finds the first return of the Sun or Moon to a longitude on or after a moment.
+ * @param {string} type - A key of RETURN_TYPES.
+ * @param {number} natalLongitude - The longitude to return to.
+ * @param {number} fromJd - Search from this moment (UT).
+ * @param {number} [flags=0] - Extra SEFLG_* flags (e.g., SEFLG_SIDEREAL).
+ * @returns {{julianDay: number, date: string, longitude: number}} - The exact return.
+ * @throws {Error} - If the ephemeris fails or the search doesn't converge.
+ */
+function findReturn(type, natalLongitude, fromJd, flags = 0) {
+  const { body, meanSpeed } = RETURN_TYPES[type];
+  initEphemeris();
+
+  const start = calcBody(fromJd, body, flags);
+  if (start.error) throw new Error(start.error);
+  const ahead = normalizeDegrees(natalLongitude - start.longitude);
+  let julianDay = fromJd + ahead / meanSpeed;
+
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    const result = calcBody(julianDay, body, flags);
+    if (result.error) throw new Error(result.error);
+    const diff = signedArc(result.longitude, natalLongitude);
+    if (Math.abs(diff) < LONGITUDE_PRECISION) {
+      return {
+        julianDay,
+        date: fromJulianDay(julianDay).toISO(),
+        longitude: result.longitude,
+      };
+    }
+    julianDay += diff / result.longitudeSpeed;
+  }
+
+  throw new Error(`The ${type} return search did not converge.`);
+}
+
+module.exports = {
+  RETURN_TYPES,
+  findReturn,
+};
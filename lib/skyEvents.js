@@ -0,0 +1,325 @@
+// Sky events across a date range: lunar phases, eclipses, sign ingresses,
+// and void-of-course Moon windows, optionally related to a natal chart.
+const sweph = require("swisseph");
+const { STANDARD_BODIES } = require("./bodies");
+const { calculateCrossAspects } = require("./aspects");
+const { getHousePlacement, withAngles } = require("./houses");
+const { getZodiacSign, normalizeDegrees, signedArc } = require("./zodiac");
+const { initEphemeris, fromJulianDay, calcBody } = require("./ephemeris");
+const { findIngresses } = require("./ephemerisTable");
+
+const SKY_EVENT_TYPES = ["lunarPhases", "eclipses", "ingresses", "voidOfCourse"];
+
+// Moon-Sun elongation at each phase.
+const LUNAR_PHASES = {
+  0: "new moon",
+  90: "first quarter",
+  180: "full moon",
+  270: "last quarter",
+};
+
+// The planets whose aspects end a void-of-course Moon: the classical planets
+// only, or the outer planets as well.
+const VOID_OF_COURSE_PLANETS = {
+  traditional: ["Sun", "Mercury", "Venus", "Mars", "Jupiter", "Saturn"],
+  modern: ["Sun", "Mercury", "Venus", "Mars", "Jupiter", "Saturn", "Uranus", "Neptune", "Pluto"],
+};
+const VOID_OF_COURSE_ASPECTS = [0, 60, 90, 120, 180];
+
+// Sky events are compared to natal points with tight major-aspect orbs.
+const SKY_EVENT_ASPECT_PROFILE = {
+  orbs: { conjunction: 3, opposition: 3, trine: 3, square: 3, sextile: 3 },
+};
+
+const SAMPLE_STEP_DAYS = 1;
+// The Moon moves about a degree in two hours, so aspects can't slip between samples.
+const MOON_SAMPLE_STEP_DAYS = 1 / 12;
+const PRECISION_DAYS = 1 / 1440;
+
+const SOLAR_ECLIPSE_TYPES = [
+  [sweph.SE_ECL_TOTAL, "total"],
+  [sweph.SE_ECL_ANNULAR_TOTAL, "hybrid"],
+  [sweph.SE_ECL_ANNULAR, "annular"],
+  [sweph.SE_ECL_PARTIAL, "partial"],
+];
+const LUNAR_ECLIPSE_TYPES = [
+  [sweph.SE_ECL_TOTAL, "total"],
+  [sweph.SE_ECL_PARTIAL, "partial"],
+  [sweph.SE_ECL_PENUMBRAL, "penumbral"],
+];
+
+const calculateOrThrow = (jd, bodyId, flags) => {
+  const result = calcBody(jd, bodyId, flags);
+  if (result.error) throw new Error(result.error);
+  return result;
+};
+
+const describeLongitude = (longitude) => {
+  const signInfo = getZodiacSign(longitude);
+  return { longitude, sign: signInfo.sign, sign_degrees: signInfo.degrees };
+};
+
+/**
+ * Finds the moments in [startJd, endJd] when f(t), an arc in degrees, passes
+ * through zero. Each sample bracket is bisected; sign changes through ±180°
+ * are skipped.
+ */
+const findZeros = (f, startJd, endJd, step) => {
+  const zeros = [];
+  let previous = { jd: startJd, value: f(startJd) };
+  while (previous.jd < endJd) {
+    const jd = Math.min(previous.jd + step, endJd);
+    const current = { jd, value: f(jd) };
+    if (
+      Math.sign(previous.value) !== Math.sign(current.value) &&
+      Math.abs(previous.value - current.value) < 180
+    ) {
+      let low = previous.jd;
+      let high = current.jd;
+      const lowSign = Math.sign(previous.value);
+      while (high - low > PRECISION_DAYS) {
+        const mid = (low + high) / 2;
+        if (Math.sign(f(mid)) === lowSign) low = mid;
+        else high = mid;
+      }
+      zeros.push((low + high) / 2);
+    }
+    previous = current;
+  }
+  return zeros;
+};
+
+/**
+ * Finds the new, first quarter, full, and last quarter moons in a range.
+ * @returns {Array<object>} - { phase, julianDay, date, longitude, sign, sign_degrees } (the Moon's position).
+ */
+function findLunarPhases(startJd, endJd, flags = 0) {
+  const elongation = (jd) =>
+    calculateOrThrow(jd, sweph.SE_MOON, 0).longitude -
+    calculateOrThrow(jd, sweph.SE_SUN, 0).longitude;
+
+  const phases = [];
+  for (const [angle, phase] of Object.entries(LUNAR_PHASES)) {
+    const zeros = findZeros(
+      (jd) => signedArc(Number(angle), normalizeDegrees(elongation(jd))),
+      startJd,
+      endJd,
+      SAMPLE_STEP_DAYS
+    );
+    for (const julianDay of zeros) {
+      phases.push({
+        phase,
+        julianDay,
+        date: fromJulianDay(julianDay).toISO(),
+        ...describeLongitude(calculateOrThrow(julianDay, sweph.SE_MOON, flags).longitude),
+      });
+    }
+  }
+  return phases.sort((a, b) => a.julianDay - b.julianDay);
+}
+
+const eclipseType = (types, rflag) =>
+  types.find(([flag]) => rflag & flag)?.[1] || "unknown";
+
+/**
+ * Finds the solar and lunar eclipses in a range, at their greatest eclipse.
+ * @returns {Array<object>} - { kind, type, julianDay, date, longitude, sign, sign_degrees, saros, ... }.
+ */
+function findEclipses(startJd, endJd, flags = 0) {
+  const eclipses = [];
+
+  for (let jd = startJd; ; ) {
+    const result = sweph.swe_sol_eclipse_when_glob(jd, sweph.SEFLG_SWIEPH, 0, 0);
+    if (result.error) throw new Error(result.error);
+    if (result.maximum > endJd) break;
+    const where = sweph.swe_sol_eclipse_where(result.maximum, sweph.SEFLG_SWIEPH);
+    eclipses.push({
+      kind: "solar",
+      type: eclipseType(SOLAR_ECLIPSE_TYPES, result.rflag),
+      julianDay: result.maximum,
+      date: fromJulianDay(result.maximum).toISO(),
+      ...describeLongitude(calculateOrThrow(result.maximum, sweph.SE_SUN, flags).longitude),
+      magnitude: where.eclipseMagnitude,
+      saros: { series: where.sarosNumber, member: where.sarosMember },
+      greatestEclipse: { latitude: where.latitude, longitude: where.longitude },
+    });
+    jd = result.maximum + 1;
+  }
+
+  for (let jd = startJd; ; ) {
+    const result = sweph.swe_lun_eclipse_when(jd, sweph.SEFLG_SWIEPH, 0, 0);
+    if (result.error) throw new Error(result.error);
+    if (result.maximum > endJd) break;
+    const how = sweph.swe_lun_eclipse_how(result.maximum, sweph.SEFLG_SWIEPH, 0, 0, 0);
+    eclipses.push({
+      kind: "lunar",
+      type: eclipseType(LUNAR_ECLIPSE_TYPES, result.rflag),
+      julianDay: result.maximum,
+      date: fromJulianDay(result.maximum).toISO(),
+      ...describeLongitude(calculateOrThrow(result.maximum, sweph.SE_MOON, flags).longitude),
+      magnitude: how.umbralMagnitude > 0 ? how.umbralMagnitude : how.penumbralMagnitude,
+      saros: { series: how.sarosNumber, member: how.sarosMember },
+    });
+    jd = result.maximum + 1;
+  }
+
+  return eclipses.sort((a, b) => a.julianDay - b.julianDay);
+}
+
+/**
+ * Finds the void-of-course Moon windows overlapping a range: from the Moon's
+ * last Ptolemaic aspect to a planet in a sign until it enters the next sign.
+ * @param {string} [mode="modern"] - A key of VOID_OF_COURSE_PLANETS.
+ * @returns {Array<object>} - { startDate, endDate, sign, nextSign, lastAspect, longitude, ... }.
+ */
+function findVoidOfCourse(startJd, endJd, flags = 0, mode = "modern") {
+  const planets = VOID_OF_COURSE_PLANETS[mode];
+  // The Moon spends up to about 2.7 days in a sign, so look a little either side.
+  const ingresses = findIngresses("Moon", startJd - 3, endJd + 3, flags);
+  const windows = [];
+
+  for (let i = 1; i < ingresses.length; i++) {
+    const signStart = ingresses[i - 1].julianDay;
+    const signEnd = ingresses[i].julianDay;
+    if (signEnd <= startJd || signStart >= endJd) continue;
+
+    // Sample the Moon through the sign. The planets barely move in that time,
+    // so they are interpolated between the ends; crossings are then bisected exactly.
+    const times = [];
+    for (let jd = signStart; jd < signEnd; jd += MOON_SAMPLE_STEP_DAYS) times.push(jd);
+    times.push(signEnd);
+    const moon = times.map((jd) => calculateOrThrow(jd, sweph.SE_MOON, 0).longitude);
+
+    const brackets = [];
+    for (const planet of planets) {
+      const planetId = STANDARD_BODIES[planet];
+      const first = calculateOrThrow(signStart, planetId, 0).longitude;
+      const motion = signedArc(first, calculateOrThrow(signEnd, planetId, 0).longitude);
+      const planetAt = (index) =>
+        first + (motion * (times[index] - signStart)) / (signEnd - signStart);
+
+      for (const angle of VOID_OF_COURSE_ASPECTS) {
+        const targets = angle === 0 || angle === 180 ? [angle] : [angle, 360 - angle];
+        for (const target of targets) {
+          const gap = (index) => signedArc(target, normalizeDegrees(moon[index] - planetAt(index)));
+          // Only the last crossing in the sign can end the Moon's course.
+          for (let k = times.length - 1; k > 0; k--) {
+            const before = gap(k - 1);
+            const after = gap(k);
+            if (Math.sign(before) !== Math.sign(after) && Math.abs(before - after) < 180) {
+              brackets.push({ planet, planetId, angle, target, low: times[k - 1], high: times[k] });
+              break;
+            }
+          }
+        }
+      }
+    }
+
+    let lastAspect = null;
+    const latestLow = Math.max(...brackets.map((bracket) => bracket.low));
+    for (const bracket of brackets.filter((candidate) => candidate.high > latestLow)) {
+      const separation = (jd) =>
+        signedArc(
+          bracket.target,
+          normalizeDegrees(
+            calculateOrThrow(jd, sweph.SE_MOON, 0).longitude -
+              calculateOrThrow(jd, bracket.planetId, 0).longitude
+          )
+        );
+      const [exact] = findZeros(separation, bracket.low, bracket.high, bracket.high - bracket.low);
+      if (exact !== undefined && (!lastAspect || exact > lastAspect.julianDay)) {
+        lastAspect = { julianDay: exact, planet: bracket.planet, angle: bracket.angle };
+      }
+    }
+
+    // Without any aspect in the sign, the Moon is void for the whole of it.
+    const voidStart = lastAspect ? lastAspect.julianDay : signStart;
+    if (voidStart >= endJd) continue;
+    windows.push({
+      julianDay: voidStart,
+      startDate: fromJulianDay(voidStart).toISO(),
+      endDate: fromJulianDay(signEnd).toISO(),
+      durationHours: (signEnd - voidStart) * 24,
+      sign: ingresses[i].fromSign,
+      nextSign: ingresses[i].sign,
+      lastAspect: lastAspect
+        ? {
+            planet: lastAspect.planet,
+            angle: lastAspect.angle,
+            date: fromJulianDay(lastAspect.julianDay).toISO(),
+          }
+        : null,
+      ...describeLongitude(calculateOrThrow(voidStart, sweph.SE_MOON, flags).longitude),
+    });
+  }
+  return windows;
+}
+
+/**
+ * Adds the natal house an event falls in and the aspects it makes to the
+ * chart's points (by its `longitude`).
+ */
+const annotateWithNatal = (event, natalChart, natalPoints) => ({
+  ...event,
+  natal: {
+    house: getHousePlacement(event.longitude, natalChart.houses?.cusps),
+    aspects: calculateCrossAspects(
+      { [event.body || (event.kind === "solar" ? "Sun" : "Moon")]: { longitude: event.longitude } },
+      natalPoints,
+      SKY_EVENT_ASPECT_PROFILE
+    ),
+  },
+});
+
+/**
+ * Finds the sky events in a range.
+ * @param {number} startJd - Start of the range (UT).
+ * @param {number} endJd - End of the range (UT).
+ * @param {object} [options]
+ * @param {number} [options.flags=0] - Extra SEFLG_* flags (e.g., SEFLG_SIDEREAL) for the reported positions.
+ * @param {Array<string>} [options.include] - Keys of SKY_EVENT_TYPES (defaults to all).
+ * @param {Array<string>} [options.bodies] - Bodies whose ingresses are listed (defaults to STANDARD_BODIES).
+ * @param {string} [options.voidOfCourse="modern"] - A key of VOID_OF_COURSE_PLANETS.
+ * @param {object} [options.natalChart] - A chart to relate each event to (natal house and aspects).
+ * @returns {object} - Events keyed by type, each list in date order.
+ */
+function findSkyEvents(startJd, endJd, options = {}) {
+  const flags = options.flags || 0;
+  const include = options.include || SKY_EVENT_TYPES;
+  initEphemeris();
+
+  const events = {};
+  if (include.includes("lunarPhases")) {
+    events.lunarPhases = findLunarPhases(startJd, endJd, flags);
+  }
+  if (include.includes("eclipses")) {
+    events.eclipses = findEclipses(startJd, endJd, flags);
+  }
+  if (include.includes("ingresses")) {
+    events.ingresses = (options.bodies || Object.keys(STANDARD_BODIES))
+      .flatMap((body) => findIngresses(body, startJd, endJd, flags))
+      .sort((a, b) => a.julianDay - b.julianDay);
+  }
+  if (include.includes("voidOfCourse")) {
+    events.voidOfCourse = findVoidOfCourse(startJd, endJd, flags, options.voidOfCourse);
+  }
+
+  if (options.natalChart) {
+    const natalPoints = withAngles(options.natalChart);
+    for (const [type, list] of Object.entries(events)) {
+      events[type] = list.map((event) =>
+        annotateWithNatal(event, options.natalChart, natalPoints)
+      );
+    }
+  }
+  return events;
+}
+
+module.exports = {
+  SKY_EVENT_TYPES,
+  VOID_OF_COURSE_PLANETS,
+  findLunarPhases,
+  findEclipses,
+  findVoidOfCourse,
+  findSkyEvents,
+};
@@ -0,0 +1,99 @@
+// Synastry: aspects between two charts, house overlays, and a compatibility summary.
+const { calculateCrossAspects } = require("./aspects");
+const { getHousePlacement, withAngles } = require("./houses");
+
+// Bodies whose contacts matter most between two people.
+const PERSONAL_POINTS = ["Sun", "Moon", "Mercury", "Venus", "Mars", "Ascendant"];
+
+const HARMONIOUS_ASPECTS = ["trine", "sextile"];
+const CHALLENGING_ASPECTS = ["square", "opposition"];
+
+const MAX_KEY_CONTACTS = 10;
+
+/**
+ * Places each body of one chart in the other chart's houses.
+ * @returns {Object<string, number|null>|null} - House numbers keyed by body, or null if the host chart has no houses.
+ */
+const overlayHouses = (guestPositions, hostChart) => {
+  const cusps = hostChart.houses?.cusps;
+  if (!cusps) return null;
+  const overlay = {};
+  for (const [body, position] of Object.entries(guestPositions)) {
+    overlay[body] = getHousePlacement(position.longitude, cusps);
+  }
+  return overlay;
+};
+
+/**
+ * Weighs the cross aspects into a rough compatibility summary. Major aspects
+ * count once, or twice when both bodies are personal points; conjunctions
+ * are counted separately, since their tone depends on the bodies involved.
+ */
+const summarize = (aspects) => {
+  const weight = (aspect) =>
+    PERSONAL_POINTS.includes(aspect.planet1) &&
+    PERSONAL_POINTS.includes(aspect.planet2)
+      ? 2
+      : 1;
+
+  let harmonious = 0;
+  let challenging = 0;
+  let conjunctions = 0;
+  for (const aspect of aspects) {
+    if (HARMONIOUS_ASPECTS.includes(aspect.aspect)) harmonious += weight(aspect);
+    else if (CHALLENGING_ASPECTS.includes(aspect.aspect)) challenging += weight(aspect);
+    else if (aspect.aspect === "conjunction") conjunctions += weight(aspect);
+  }
+
+  const total = harmonious + challenging;
+  const balance = total > 0 ? (harmonious - challenging) / total : 0;
+  let tone = "mixed";
+  if (balance > 0.2) tone = "harmonious";
+  if (balance < -0.2) tone = "challenging";
+
+  const keyContacts = aspects
+    .filter(
+      (aspect) =>
+        aspect.class === "major" &&
+        PERSONAL_POINTS.includes(aspect.planet1) &&
+        PERSONAL_POINTS.includes(aspect.planet2)
+    )
+    .sort((a, b) => a.orb - b.orb)
+    .slice(0, MAX_KEY_CONTACTS);
+
+  return {
+    harmonious,
+    challenging,
+    conjunctions,
+    balance,
+    tone,
+    keyContacts,
+  };
+};
+
+/**
+ * Compares two charts.
+ * @param {object} chart1 - The first chart (calculateChart output or stored event data).
+ * @param {object} chart2 - The second chart.
+ * @param {string|object} [aspectProfile] - Aspect profile name, or a profile from withOrbOverrides.
+ * @returns {{aspects: Array<object>, houseOverlays: object, summary: object}}
+ */
+function calculateSynastry(chart1, chart2, aspectProfile) {
+  const positions1 = withAngles(chart1);
+  const positions2 = withAngles(chart2);
+  const aspects = calculateCrossAspects(positions1, positions2, aspectProfile);
+
+  return {
+    aspects,
+    houseOverlays: {
+      firstInSecond: overlayHouses(chart1.positions, chart2),
+      secondInFirst: overlayHouses(chart2.positions, chart1),
+    },
+    summary: summarize(aspects),
+  };
+}
+
+module.exports = {
+  PERSONAL_POINTS,
+  calculateSynastry,
+};
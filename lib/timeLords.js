@@ -0,0 +1,182 @@
+// Hellenistic and Persian time-lord techniques: annual and monthly
+// profections from the Ascendant, and the firdaria.
+const { SIGNS } = require("./zodiac");
+const { isDayChart } = require("./bodies");
+const { getHousePlacement } = require("./houses");
+const { CHALDEAN_ORDER, getSignRuler } = require("./dignities");
+const { getChartMoment } = require("./ephemeris");
+
+// Major periods in years. The nodes take the last five years of a day chart's
+// 75-year cycle. For night charts Abu Ma'shar keeps them at the end, while
+// Bonatti places them after Mars.
+const FIRDARIA_YEARS = {
+  Sun: 10,
+  Venus: 8,
+  Mercury: 13,
+  Moon: 9,
+  Saturn: 11,
+  Jupiter: 12,
+  Mars: 7,
+  "North Node": 3,
+  "South Node": 2,
+};
+const FIRDARIA_SEQUENCES = {
+  day: ["Sun", "Venus", "Mercury", "Moon", "Saturn", "Jupiter", "Mars", "North Node", "South Node"],
+  night: ["Moon", "Saturn", "Jupiter", "Mars", "Sun", "Venus", "Mercury", "North Node", "South Node"],
+  "night-bonatti": ["Moon", "Saturn", "Jupiter", "Mars", "North Node", "South Node", "Sun", "Venus", "Mercury"],
+};
+const FIRDARIA_VARIANTS = ["abu-mashar", "bonatti"];
+const FIRDARIA_CYCLE_YEARS = 75;
+
+/**
+ * Reads the chart's birth moment, Ascendant sign, and sect.
+ * @throws {Error} - If the chart has no date or houses.
+ */
+const readChart = (chart) => {
+  const birth = getChartMoment(chart);
+  const ascendant = chart.houses?.ascendant;
+  if (!birth.isValid || typeof ascendant !== "number") {
+    throw new Error("Time lords need a chart with a valid date and houses.");
+  }
+  const sun = chart.positions?.Sun;
+  return {
+    birth,
+    ascendantSign: Math.floor(ascendant / 30),
+    isDay: sun ? isDayChart(sun.longitude, ascendant) : true,
+  };
+};
+
+/**
+ * Describes a profected sign: its whole-sign house from the Ascendant, its lord
+ * and where the lord is in the natal chart, and the natal planets in the sign.
+ */
+const describeProfection = (chart, ascendantSign, signIndex) => {
+  const sign = SIGNS[signIndex];
+  const lord = getSignRuler(sign);
+  const lordPosition = chart.positions?.[lord];
+  return {
+    sign,
+    house: ((signIndex - ascendantSign + 12) % 12) + 1,
+    lord,
+    lordNatal: lordPosition
+      ? {
+          sign: lordPosition.sign,
+          house: getHousePlacement(lordPosition.longitude, chart.houses.cusps),
+        }
+      : null,
+    planetsInSign: Object.entries(chart.positions || {})
+      .filter(([, position]) => position.sign === sign)
+      .map(([name]) => name),
+  };
+};
+
+/**
+ * Calculates the annual profections (each with its monthly profections) that
+ * overlap a window. A profection year runs from one birthday to the next; each
+ * month of it advances one more sign.
+ * @param {object} chart - A chart from calculateChart or stored event data (with houses).
+ * @param {object} options
+ * @param {DateTime} options.startDate - Start of the window.
+ * @param {DateTime} options.endDate - End of the window.
+ * @returns {Array<object>} - { age, startDate, endDate, sign, house, lord, lordNatal, planetsInSign, months }.
+ * @throws {Error} - If the chart has no date or houses.
+ */
+function calculateProfections(chart, { startDate, endDate }) {
+  const { birth, ascendantSign } = readChart(chart);
+  const years = [];
+  const firstAge = Math.max(0, Math.floor(startDate.diff(birth, "years").years));
+
+  // Birthdays are added to the birth moment rather than chained, so a
+  // 29 February birthday isn't pulled back to the 28th for good.
+  for (let age = firstAge; ; age++) {
+    const yearStart = birth.plus({ years: age });
+    if (yearStart >= endDate) break;
+    const yearEnd = birth.plus({ years: age + 1 });
+    if (yearEnd <= startDate) continue;
+
+    const signIndex = (ascendantSign + age) % 12;
+    const months = [];
+    for (let month = 0; month < 12; month++) {
+      months.push({
+        month: month + 1,
+        startDate: yearStart.plus({ months: month }).toISO(),
+        endDate: (month === 11 ? yearEnd : yearStart.plus({ months: month + 1 })).toISO(),
+        ...describeProfection(chart, ascendantSign, (signIndex + month) % 12),
+      });
+    }
+    years.push({
+      age,
+      startDate: yearStart.toISO(),
+      endDate: yearEnd.toISO(),
+      ...describeProfection(chart, ascendantSign, signIndex),
+      months,
+    });
+  }
+  return years;
+}
+
+/**
+ * Calculates the firdaria periods that overlap a window. Planetary periods
+ * split into seven equal sub-periods, led by the period's lord and following
+ * the Chaldean order; the nodes' periods aren't divided.
+ * @param {object} chart - A chart from calculateChart or stored event data (with houses).
+ * @param {object} options
+ * @param {DateTime} options.startDate - Start of the window.
+ * @param {DateTime} options.endDate - End of the window.
+ * @param {string} [options.variant="abu-mashar"] - One of FIRDARIA_VARIANTS (node placement for night charts).
+ * @returns {{sect: string, variant: string, periods: Array<object>}} - Periods are
+ *   { lord, startDate, endDate, subPeriods }.
+ * @throws {Error} - If the chart has no date or houses.
+ */
+function calculateFirdaria(chart, { startDate, endDate, variant = "abu-mashar" }) {
+  const { birth, isDay } = readChart(chart);
+  let sequence = FIRDARIA_SEQUENCES.day;
+  if (!isDay) {
+    sequence =
+      variant === "bonatti" ? FIRDARIA_SEQUENCES["night-bonatti"] : FIRDARIA_SEQUENCES.night;
+  }
+
+  const periods = [];
+  for (let cycle = 0; ; cycle++) {
+    let offset = cycle * FIRDARIA_CYCLE_YEARS;
+    if (birth.plus({ years: offset }) >= endDate) break;
+
+    for (const lord of sequence) {
+      const periodStart = birth.plus({ years: offset });
+      offset += FIRDARIA_YEARS[lord];
+      const periodEnd = birth.plus({ years: offset });
+      if (periodEnd <= startDate || periodStart >= endDate) continue;
+
+      const subPeriods = [];
+      if (CHALDEAN_ORDER.includes(lord)) {
+        const first = CHALDEAN_ORDER.indexOf(lord);
+        const length = (periodEnd.toMillis() - periodStart.toMillis()) / 7;
+        for (let i = 0; i < 7; i++) {
+          subPeriods.push({
+            lord: CHALDEAN_ORDER[(first + i) % 7],
+            startDate: periodStart.plus({ milliseconds: Math.round(length * i) }).toISO(),
+            endDate: (i === 6
+              ? periodEnd
+              : periodStart.plus({ milliseconds: Math.round(length * (i + 1)) })
+            ).toISO(),
+          });
+        }
+      }
+      periods.push({
+        lord,
+        startDate: periodStart.toISO(),
+        endDate: periodEnd.toISO(),
+        subPeriods,
+      });
+    }
+  }
+
+  return { sect: isDay ? "day" : "night", variant, periods };
+}
+
+module.exports = {
+  FIRDARIA_YEARS,
+  FIRDARIA_VARIANTS,
+  calculateProfections,
+  calculateFirdaria,
+};
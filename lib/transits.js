@@ -0,0 +1,175 @@
+// Transit hit search: exact transit-to-natal aspects over a date range, with
+// the dates each transit enters and leaves orb.
+const { STANDARD_BODIES, EXTENDED_BODIES } = require("./bodies");
+const { ASPECT_TYPES } = require("./aspects");
+const { withAngles } = require("./houses");
+const { applyZodiac, getZodiacSign, signedArc } = require("./zodiac");
+const { initEphemeris, fromJulianDay, calcBody } = require("./ephemeris");
+
+const TRANSIT_BODIES = { ...STANDARD_BODIES, ...EXTENDED_BODIES };
+
+// The Moon makes several hits a day, so it is only searched when asked for.
+const DEFAULT_TRANSIT_BODIES = [
+  "Sun",
+  "Mercury",
+  "Venus",
+  "Mars",
+  "Jupiter",
+  "Saturn",
+  "Uranus",
+  "Neptune",
+  "Pluto",
+];
+const DEFAULT_TRANSIT_ASPECTS = Object.keys(ASPECT_TYPES).filter(
+  (name) => ASPECT_TYPES[name].class === "major"
+);
+const DEFAULT_TRANSIT_ORB = 1;
+
+// Sampling step (days); small enough that no body crosses a target twice between samples.
+const SAMPLE_STEP_DAYS = 1;
+const MOON_SAMPLE_STEP_DAYS = 0.25;
+// Bisection stops once the bracket is narrower than one minute.
+const PRECISION_DAYS = 1 / 1440;
+// How far past an exact hit to look for the orb boundary (covers Pluto's retrograde loops).
+const MAX_WINDOW_SEARCH_DAYS = 1100;
+
+const bisect = (f, low, high) => {
+  const lowSign = Math.sign(f(low));
+  while (high - low > PRECISION_DAYS) {
+    const mid = (low + high) / 2;
+    if (Math.sign(f(mid)) === lowSign) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+};
+
+/**
+ * Lists the exact transit-to-natal aspects between two moments.
+ * @param {object} natalChart - The natal chart (calculateChart output or stored event data).
+ * @param {number} startJd - Start of the search (UT).
+ * @param {number} endJd - End of the search (UT).
+ * @param {object} [options]
+ * @param {Array<string>} [options.bodies] - Transiting bodies (defaults to Sun through Pluto without the Moon).
+ * @param {Array<string>} [options.natalPoints] - Natal points to test (defaults to every position plus Ascendant and MC).
+ * @param {Array<string>} [options.aspects] - Aspect names (defaults to the major aspects).
+ * @param {number} [options.orb=1] - Orb in degrees for the entry and exit dates.
+ * @param {number} [options.limit=Infinity] - Stop once more than this many hits are found, so
+ *   an oversized search is detected without finishing it.
+ * @returns {Array<object>} - Hits sorted by exact date: { transitingBody, natalPoint, aspect, angle, exactDate, entryDate, exitDate, retrograde, pass, passes, ... }.
+ */
+function findTransitHits(natalChart, startJd, endJd, options = {}) {
+  const bodies = options.bodies || DEFAULT_TRANSIT_BODIES;
+  const aspects = options.aspects || DEFAULT_TRANSIT_ASPECTS;
+  const orb = options.orb ?? DEFAULT_TRANSIT_ORB;
+  const natalPoints = withAngles(natalChart);
+  const pointNames = (options.natalPoints || Object.keys(natalPoints)).filter(
+    (name) => natalPoints[name]
+  );
+
+  const inputs = natalChart.meta?.inputs || {};
+  initEphemeris();
+  const flags = applyZodiac(inputs.zodiac, inputs.ayanamsa);
+
+  const limit = options.limit ?? Infinity;
+  const byExactDate = (a, b) => a.exactDate.localeCompare(b.exactDate);
+
+  const hits = [];
+  for (const body of bodies) {
+    const bodyId = TRANSIT_BODIES[body];
+    if (bodyId === undefined) continue;
+    const step = body === "Moon" ? MOON_SAMPLE_STEP_DAYS : SAMPLE_STEP_DAYS;
+    const longitudeAt = (jd) => {
+      const result = calcBody(jd, bodyId, flags);
+      if (result.error) throw new Error(result.error);
+      return result;
+    };
+
+    const samples = [];
+    for (let jd = startJd; ; jd = Math.min(jd + step, endJd)) {
+      samples.push({ jd, longitude: longitudeAt(jd).longitude });
+      if (jd >= endJd) break;
+    }
+
+    for (const pointName of pointNames) {
+      const natalLongitude = natalPoints[pointName].longitude;
+      for (const aspectName of aspects) {
+        const { angle } = ASPECT_TYPES[aspectName];
+        const targets = angle === 0 || angle === 180 ? [angle] : [angle, -angle];
+
+        for (const offset of targets) {
+          const target = (natalLongitude + offset + 360) % 360;
+          const distance = (jd) => signedArc(target, longitudeAt(jd).longitude);
+          const exacts = [];
+
+          for (let i = 1; i < samples.length; i++) {
+            const before = signedArc(target, samples[i - 1].longitude);
+            const after = signedArc(target, samples[i].longitude);
+            // A sign change far from the target is the ±180° wrap, not a hit.
+            if (Math.sign(before) === Math.sign(after) || Math.abs(before - after) > 90) {
+              continue;
+            }
+            exacts.push(bisect(distance, samples[i - 1].jd, samples[i].jd));
+          }
+
+          // Steps outward from an exact hit to where the transit is out of orb.
+          const findBoundary = (jd, direction) => {
+            const outside = (t) => Math.abs(distance(t)) - orb;
+            for (let offsetDays = step; offsetDays <= MAX_WINDOW_SEARCH_DAYS; offsetDays += step) {
+              const t = jd + direction * offsetDays;
+              if (outside(t) > 0) {
+                const previous = t - direction * step;
+                return direction > 0 ? bisect(outside, previous, t) : bisect(outside, t, previous);
+              }
+            }
+            return null;
+          };
+
+          const windowHits = exacts.map((exactJd) => {
+            const result = longitudeAt(exactJd);
+            const entryJd = findBoundary(exactJd, -1);
+            const exitJd = findBoundary(exactJd, 1);
+            const signInfo = getZodiacSign(result.longitude);
+            const hit = {
+              transitingBody: body,
+              natalPoint: pointName,
+              aspect: aspectName,
+              angle,
+              exactDate: fromJulianDay(exactJd).toISO(),
+              entryDate: entryJd === null ? null : fromJulianDay(entryJd).toISO(),
+              exitDate: exitJd === null ? null : fromJulianDay(exitJd).toISO(),
+              retrograde: result.longitudeSpeed < 0,
+              transitLongitude: result.longitude,
+              transitSign: signInfo.sign,
+              transitSignDegrees: signInfo.degrees,
+              natalLongitude,
+            };
+            return { hit, entryJd };
+          });
+
+          // Hits sharing an orb window are passes of one transit (retrograde loops).
+          const sameWindow = (a, b) =>
+            a.entryJd === null || b.entryJd === null
+              ? a.entryJd === b.entryJd
+              : Math.abs(a.entryJd - b.entryJd) < SAMPLE_STEP_DAYS;
+          for (const current of windowHits) {
+            const passes = windowHits.filter((other) => sameWindow(other, current));
+            current.hit.pass = passes.indexOf(current) + 1;
+            current.hit.passes = passes.length;
+            hits.push(current.hit);
+          }
+          if (hits.length > limit) return hits.sort(byExactDate);
+        }
+      }
+    }
+  }
+
+  return hits.sort(byExactDate);
+}
+
+module.exports = {
+  TRANSIT_BODIES,
+  DEFAULT_TRANSIT_BODIES,
+  DEFAULT_TRANSIT_ASPECTS,
+  DEFAULT_TRANSIT_ORB,
+  findTransitHits,
+};
@@ -0,0 +1,128 @@
+// Zodiac signs and tropical/sidereal zodiac configuration for Swiss Ephemeris.
+const sweph = require("swisseph");
+
+const SIGNS = [
+  "Aries",
+  "Taurus",
+  "Gemini",
+  "Cancer",
+  "Leo",
+  "Virgo",
+  "Libra",
+  "Scorpio",
+  "Sagittarius",
+  "Capricorn",
+  "Aquarius",
+  "Pisces",
+];
+
+const ZODIACS = ["tropical", "sidereal"];
+
+// Supported ayanamsas, keyed by the name clients send.
+const AYANAMSAS = {
+  lahiri: sweph.SE_SIDM_LAHIRI,
+  "fagan-bradley": sweph.SE_SIDM_FAGAN_BRADLEY,
+  raman: sweph.SE_SIDM_RAMAN,
+  krishnamurti: sweph.SE_SIDM_KRISHNAMURTI,
+  yukteshwar: sweph.SE_SIDM_YUKTESHWAR,
+  "djwhal-khul": sweph.SE_SIDM_DJWHAL_KHUL,
+  "jn-bhasin": sweph.SE_SIDM_JN_BHASIN,
+  ushashashi: sweph.SE_SIDM_USHASHASHI,
+  "true-citra": sweph.SE_SIDM_TRUE_CITRA,
+  "true-revati": sweph.SE_SIDM_TRUE_REVATI,
+  "true-pushya": sweph.SE_SIDM_TRUE_PUSHYA,
+  "galactic-center-0-sag": sweph.SE_SIDM_GALCENT_0SAG,
+  "aldebaran-15-tau": sweph.SE_SIDM_ALDEBARAN_15TAU,
+};
+
+const DEFAULT_AYANAMSA = "lahiri";
+
+/**
+ * Normalizes an angle to the range [0, 360).
+ * @param {number} degrees - Any angle in degrees.
+ * @returns {number}
+ */
+const normalizeDegrees = (degrees) => ((degrees % 360) + 360) % 360;
+
+/**
+ * The shortest arc from one longitude to another, signed in the zodiac's
+ * direction: positive when `to` is ahead of `from`.
+ * @param {number} from - The starting longitude.
+ * @param {number} to - The target longitude.
+ * @returns {number} - The arc in [-180, 180).
+ */
+const signedArc = (from, to) => ((to - from + 540) % 360) - 180;
+
+/**
+ * The unsigned shortest arc between two longitudes.
+ * @param {number} a - One longitude.
+ * @param {number} b - The other longitude.
+ * @returns {number} - The arc in [0, 180].
+ */
+const angularDistance = (a, b) => {
+  const diff = Math.abs(a - b) % 360;
+  return diff > 180 ? 360 - diff : diff;
+};
+
+/**
+ * Determines the zodiac sign and degree within that sign from a celestial longitude.
+ * @param {number} longitude - The celestial longitude in degrees (0-360).
+ * @returns {{sign: string, degrees: number}} - The zodiac sign and the degree within it.
+ */
+const getZodiacSign = (longitude) => {
+  const normalized = normalizeDegrees(longitude);
+  const signIndex = Math.floor(normalized / 30);
+  const degreesInSign = normalized % 30;
+  return {
+    sign: SIGNS[signIndex],
+    degrees: degreesInSign,
+  };
+};
+
+/**
+ * Configures Swiss Ephemeris for a zodiac and returns the calculation flag to
+ * add to swe_calc_ut/swe_houses_ex. The sidereal mode is global Swiss
+ * Ephemeris state, so call this immediately before calculating.
+ * @param {string} [zodiac="tropical"] - "tropical" or "sidereal".
+ * @param {string} [ayanamsa="lahiri"] - Key of AYANAMSAS (sidereal only).
+ * @returns {number} - SEFLG_SIDEREAL for sidereal charts, otherwise 0.
+ */
+const applyZodiac = (zodiac = "tropical", ayanamsa = DEFAULT_AYANAMSA) => {
+  if (zodiac !== "sidereal") return 0;
+  sweph.swe_set_sid_mode(AYANAMSAS[ayanamsa], 0, 0);
+  return sweph.SEFLG_SIDEREAL;
+};
+
+/**
+ * Describes the zodiac a chart was calculated in, for `meta.zodiac`.
+ * @param {number} julianDayUT - The chart moment.
+ * @param {string} [zodiac="tropical"] - "tropical" or "sidereal".
+ * @param {string} [ayanamsa="lahiri"] - Key of AYANAMSAS (sidereal only).
+ * @returns {{type: string, ayanamsa?: string, ayanamsaValue?: number}}
+ */
+const describeZodiac = (
+  julianDayUT,
+  zodiac = "tropical",
+  ayanamsa = DEFAULT_AYANAMSA
+) => {
+  if (zodiac !== "sidereal") return { type: "tropical" };
+  applyZodiac(zodiac, ayanamsa);
+  return {
+    type: "sidereal",
+    ayanamsa,
+    ayanamsaValue: sweph.swe_get_ayanamsa_ut(julianDayUT),
+  };
+};
+
+module.exports = {
+  SIGNS,
+  normalizeDegrees,
+  signedArc,
+  angularDistance,
+  ZODIACS,
+  AYANAMSAS,
+  DEFAULT_AYANAMSA,
+  getZodiacSign,
+  applyZodiac,
+  describeZodiac,
+};
@@ -0,0 +1,37 @@
+-- Geocode Cache Table
+-- Stores resolved locations so chart calculations don't re-geocode the same strings
+
+CREATE TABLE IF NOT EXISTS geocode_cache (
+    cache_id INT AUTO_INCREMENT PRIMARY KEY,
+
+    -- Normalized location string used for lookups (lowercased, whitespace collapsed)
+    query_key VARCHAR(255) NOT NULL UNIQUE,
+
+    -- The location string as it was first submitted
+    original_query VARCHAR(255) NOT NULL,
+
+    latitude DOUBLE NOT NULL,
+    longitude DOUBLE NOT NULL,
+    formatted_address VARCHAR(512) NOT NULL,
+
+    -- IANA timezone identifier (e.g., "Europe/Paris")
+    timezone VARCHAR(64) NOT NULL,
+
+    -- Provider that resolved the entry ("google", "offline", or "manual")
+    provider VARCHAR(32) NOT NULL,
+    confidence DOUBLE NULL,
+
+    -- Manually corrected entries never expire and are never overwritten by providers
+    is_manual BOOLEAN NOT NULL DEFAULT FALSE,
+
+    hit_count INT NOT NULL DEFAULT 0,
+    last_hit_at TIMESTAMP NULL,
+
+    -- NULL means the entry never expires
+    expires_at TIMESTAMP NULL,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_geocode_cache_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,12 @@
+-- User Preferences Table
+-- Per-user chart defaults applied when a request doesn't specify them
+
+CREATE TABLE IF NOT EXISTS user_preferences (
+    user_id VARCHAR(255) PRIMARY KEY,
+
+    -- Swiss Ephemeris house system code (e.g., "P" Placidus, "W" Whole Sign)
+    default_house_system CHAR(1) NOT NULL DEFAULT 'P',
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
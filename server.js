@@ -5,9 +5,140 @@ const fetch = require("node-fetch"); // Use node-fetch for making requests in No
 const axios = require("axios");
 const mariadb = require("mariadb"); // Import the MariaDB package
 const sweph = require("swisseph"); // Import Swiss Ephemeris for astrological calculations
-const { DateTime } = require("luxon");
+const { DateTime, IANAZone, FixedOffsetZone } = require("luxon");
 const cityTimezones = require("city-timezones");
 const { createClient } = require("@supabase/supabase-js");
+const {
+  ASPECT_TYPES,
+  ASPECT_PROFILES,
+  DEFAULT_ASPECT_PROFILE,
+  withOrbOverrides,
+  calculateAspects,
+} = require("./lib/aspects");
+const {
+  STANDARD_BODIES,
+  EXTENDED_BODIES,
+  HELIOCENTRIC_BODIES,
+  GEOCENTRIC_ONLY_BODIES,
+  DERIVED_POINTS,
+  resolveExtendedBodies,
+  calculateDerivedPoints,
+} = require("./lib/bodies");
+const {
+  STATION_BODIES,
+  describeMotion,
+  findRetrogradePeriods,
+} = require("./lib/motion");
+const {
+  FRAMES,
+  applyFrame,
+  toJulianDay,
+  fromJulianDay,
+  getChartMoment,
+} = require("./lib/ephemeris");
+const {
+  EPHEMERIS_BODIES,
+  STEP_UNITS,
+  listSteps,
+  calculateEphemerisTable,
+  ephemerisCsvHeader,
+  ephemerisCsvLine,
+} = require("./lib/ephemerisTable");
+const {
+  DEFAULT_PARALLEL_ORB,
+  MAX_PARALLEL_ORB,
+  getObliquity,
+  eclipticToEquatorial,
+  calcEquatorial,
+  isOutOfBounds,
+  calculateParallels,
+} = require("./lib/declinations");
+const {
+  MAX_STAR_ORB,
+  MAX_FIXED_STARS,
+  DEFAULT_STAR_ORB,
+  findUnknownStars,
+  resolveFixedStars,
+  calculateFixedStars,
+} = require("./lib/fixedStars");
+const { analyzeChart } = require("./lib/analysis");
+const { detectAspectPatterns } = require("./lib/patterns");
+const { calculateSynastry } = require("./lib/synastry");
+const {
+  MIDPOINT_CONVENTIONS,
+  getZodiacMismatch,
+  calculateComposite,
+  getDavisonMidpoint,
+} = require("./lib/relationship");
+const {
+  ANGLE_METHODS,
+  calculateProgressions,
+} = require("./lib/progressions");
+const { RETURN_TYPES, findReturn } = require("./lib/returns");
+const {
+  TRANSIT_BODIES,
+  DEFAULT_TRANSIT_ORB,
+  findTransitHits,
+} = require("./lib/transits");
+const {
+  ASTROCARTOGRAPHY_BODIES,
+  calculateAstrocartography,
+  findLinesNear,
+} = require("./lib/astrocartography");
+const {
+  RELEASING_LOTS,
+  YEAR_LENGTHS,
+  MAX_LEVEL: MAX_RELEASING_LEVEL,
+  calculateZodiacalReleasing,
+} = require("./lib/releasing");
+const {
+  FIRDARIA_VARIANTS,
+  calculateProfections,
+  calculateFirdaria,
+} = require("./lib/timeLords");
+const {
+  DEFAULT_PICTURE_ORB,
+  MAX_PICTURE_ORB,
+  MAX_HARMONIC,
+  calculateMidpointAnalysis,
+} = require("./lib/midpoints");
+const {
+  SKY_EVENT_TYPES,
+  VOID_OF_COURSE_PLANETS,
+  findSkyEvents,
+} = require("./lib/skyEvents");
+const {
+  HOUSE_SYSTEMS,
+  DEFAULT_HOUSE_SYSTEM,
+  normalizeHouseSystem,
+  calculateHouses,
+  getHousePlacement,
+  withAngles,
+} = require("./lib/houses");
+const {
+  ZODIACS,
+  AYANAMSAS,
+  DEFAULT_AYANAMSA,
+  getZodiacSign,
+  applyZodiac,
+  describeZodiac,
+} = require("./lib/zodiac");
+const {
+  TIME_MODES,
+  DST_RESOLUTIONS,
+  LocalTimeConflictError,
+  resolveLocalTime,
+} = require("./lib/localTime");
+const {
+  resolveLocation,
+  findTimezoneForCoordinates,
+} = require("./lib/geocoding");
+const {
+  normalizeGeocodeQuery,
+  getCachedLocation,
+  storeCachedLocation,
+  upsertManualLocation,
+} = require("./lib/geocodeCache");
 
 const supabaseUrl = "https://dldezknthsmgskwvhqtk.supabase.co";
 const supabase = createClient(supabaseUrl, process.env.SUPABASE_SECRET_KEY);
@@ -17,6 +148,37 @@ const app = express();
 const PORT = process.env.PORT || 3002; // Use a port from .env or default to 3002
 const REQUEST_BODY_LIMIT = process.env.REQUEST_BODY_LIMIT || "25mb";
 const DAILY_QUERY_LIMIT = Number(process.env.DAILY_QUERY_LIMIT || 60);
+// Page size for the admin geocode cache listing.
+const DEFAULT_GEOCODE_CACHE_PAGE_SIZE = 50;
+const MAX_GEOCODE_CACHE_PAGE_SIZE = 500;
+const MAX_RETROGRADE_RANGE_YEARS = 100;
+// Chat compares every pair of selected events, so cap how many take part.
+const MAX_SYNASTRY_EVENTS = 4;
+const MAX_TRANSIT_RANGE_YEARS = 10;
+// The Moon makes over a hundred transit hits a month, so its searches are shorter.
+const MAX_MOON_TRANSIT_RANGE_DAYS = 183;
+const MAX_TRANSIT_HITS = 1000;
+const MAX_EPHEMERIS_RANGE_YEARS = 50;
+const MAX_EPHEMERIS_ROWS = 5000;
+// Upcoming transit hits given to chat: how far ahead to look, and how many per event.
+const MAX_CHAT_TRANSIT_DAYS = 366;
+const MAX_CHAT_TRANSIT_HITS = 25;
+// How far from a place an astrocartography line may pass to count as "near" it.
+const DEFAULT_LINE_RADIUS_KM = 500;
+const MAX_LINE_RADIUS_KM = 2000;
+const MAX_RELEASING_RANGE_YEARS = 120;
+const MAX_TIME_LORD_RANGE_YEARS = 120;
+const MAX_SKY_EVENT_RANGE_YEARS = 5;
+// Topocentric observer altitudes, in meters (the Dead Sea shore to above Everest).
+const MIN_ALTITUDE = -500;
+const MAX_ALTITUDE = 9000;
+// Chat gets the zodiacal releasing periods of the coming year, to level 3.
+const CHAT_RELEASING_YEARS = 1;
+const CHAT_RELEASING_LEVELS = 3;
+const ADMIN_USER_IDS = (process.env.ADMIN_USER_IDS || "")
+  .split(",")
+  .map((id) => id.trim())
+  .filter(Boolean);
 
 // 3. Middleware setup
 app.use(cors()); // Enable Cross-Origin Resource Sharing for your React app
@@ -47,12 +209,33 @@ function logChartSummary(chart, title = "Chart Summary") {
 
   console.log(`\n--- ${title} ---`);
 
+  if (chart.meta?.zodiac?.type === "sidereal") {
+    console.log(`Zodiac:    sidereal (${chart.meta.zodiac.ayanamsa})`);
+  }
+
+  if (chart.meta?.frame && chart.meta.frame.type !== "geocentric") {
+    const altitude =
+      chart.meta.frame.type === "topocentric" ? ` (altitude ${chart.meta.frame.altitude} m)` : "";
+    console.log(`Frame:     ${chart.meta.frame.type}${altitude}`);
+  }
+
   // Log Angles (Ascendant & MC) if the chart has houses
   if (chart.houses && chart.houses.ascendant) {
     const asc = getZodiacSign(chart.houses.ascendant);
     const mc = getZodiacSign(chart.houses.mc);
     console.log(`Ascendant: ${asc.degrees.toFixed(2)}° ${asc.sign}`);
     console.log(`MC:        ${mc.degrees.toFixed(2)}° ${mc.sign}`);
+    if (chart.analysis?.sect) {
+      console.log(
+        `Sect:      ${chart.analysis.sect.chart} chart, ruled by ${chart.analysis.chartRuler.ruler}`
+      );
+    }
+    if (chart.houses.name) {
+      const fallback = chart.houses.requestedSystem
+        ? ` (${HOUSE_SYSTEMS[chart.houses.requestedSystem]} unavailable at this latitude)`
+        : "";
+      console.log(`Houses:    ${chart.houses.name}${fallback}`);
+    }
     console.log(`---------------------------------`);
   }
 
@@ -80,70 +263,452 @@ function logChartSummary(chart, title = "Chart Summary") {
         ? `(H${String(planetData.house).padStart(2, " ")})`
         : "";
 
-      console.log(`${paddedName}: ${degrees}° ${sign} ${house}`);
+      const motion = planetData.stationary
+        ? " S"
+        : planetData.retrograde
+        ? " R"
+        : "";
+      const outOfBounds = planetData.outOfBounds ? " OOB" : "";
+
+      console.log(`${paddedName}: ${degrees}° ${sign} ${house}${motion}${outOfBounds}`);
     }
   }
 
+  if (chart.patterns?.length > 0) {
+    const patterns = chart.patterns.map(
+      (pattern) => `${pattern.type} (${pattern.bodies.join(", ")})`
+    );
+    console.log(`Patterns:  ${patterns.join("; ")}`);
+  }
+
+  if (chart.fixedStars?.conjunctions.length > 0) {
+    const conjunctions = chart.fixedStars.conjunctions.map(
+      (conjunction) => `${conjunction.star}-${conjunction.point} (${conjunction.orb.toFixed(2)}°)`
+    );
+    console.log(`Stars:     ${conjunctions.join("; ")}`);
+  }
+
+  if (chart.meta?.unavailableBodies?.length > 0) {
+    const unavailable = chart.meta.unavailableBodies.map((b) => b.body);
+    console.log(`Unavailable: ${unavailable.join(", ")}`);
+  }
+
   console.log(`---------------------------------\n`);
 }
 
 /**
- * Determines the zodiac sign and degree within that sign from a celestial longitude.
- * @param {number} longitude - The celestial longitude in degrees (0-360).
- * @returns {{sign: string, degrees: number}} - The zodiac sign and the degree within it.
+ * Parses a UTC offset given as hours (e.g., -5, 5.5) or as "+HH:MM".
+ * @param {number|string} value - The offset to parse.
+ * @returns {number | null} - The offset in hours, or null if it is invalid.
+ */
+const parseUtcOffset = (value) => {
+  if (typeof value === "number") {
+    return Number.isFinite(value) && Math.abs(value) <= 14 ? value : null;
+  }
+  const match = String(value)
+    .trim()
+    .match(/^([+-])(\d{1,2})(?::?(\d{2}))?$/);
+  if (!match) return null;
+  const hours = Number(match[2]) + Number(match[3] || 0) / 60;
+  if (hours > 14) return null;
+  return match[1] === "-" ? -hours : hours;
+};
+
+const HOUSE_SYSTEM_ERROR = `houseSystem must be one of: ${Object.entries(
+  HOUSE_SYSTEMS
+)
+  .map(([code, name]) => `${code} (${name})`)
+  .join(", ")}.`;
+
+/**
+ * Resolves the house system for a chart: the requested one when given,
+ * otherwise the user's saved default (Placidus if they have none).
+ * @param {object} conn - An open database connection.
+ * @param {string} userId - The user the chart belongs to.
+ * @param {string} [requested] - House system code or name from the request.
+ * @returns {Promise<{houseSystem?: string, error?: string}>} - The house system code, or a validation error.
  */
-const getZodiacSign = (longitude) => {
-  const signs = [
-    "Aries",
-    "Taurus",
-    "Gemini",
-    "Cancer",
-    "Leo",
-    "Virgo",
-    "Libra",
-    "Scorpio",
-    "Sagittarius",
-    "Capricorn",
-    "Aquarius",
-    "Pisces",
-  ];
-  const signIndex = Math.floor(longitude / 30);
-  const degreesInSign = longitude % 30;
+async function resolveHouseSystem(conn, userId, requested) {
+  if (requested !== undefined && requested !== null && requested !== "") {
+    const houseSystem = normalizeHouseSystem(requested);
+    return houseSystem ? { houseSystem } : { error: HOUSE_SYSTEM_ERROR };
+  }
+  const rows = await conn.query(
+    "SELECT default_house_system FROM user_preferences WHERE user_id = ?",
+    [userId]
+  );
   return {
-    sign: signs[signIndex],
-    degrees: degreesInSign,
+    houseSystem: rows[0]?.default_house_system || DEFAULT_HOUSE_SYSTEM,
   };
+}
+
+/**
+ * Extracts the optional chart options (coordinate/timezone overrides, local
+ * time handling, aspect profile, zodiac, frame, body selection, station
+ * threshold, parallel orb, and fixed stars)
+ * from a request body or stored chart inputs.
+ * Absent (null/undefined/empty) fields are omitted.
+ * @param {object} source - A request body or `meta.inputs` object.
+ * @returns {{options: object, error: string | null}} - The normalized options, or a validation error.
+ */
+const parseChartOptions = (source = {}) => {
+  const isPresent = (value) => value !== undefined && value !== null && value !== "";
+  const options = {};
+
+  if (isPresent(source.latitude) || isPresent(source.longitude)) {
+    const latitude = Number(source.latitude);
+    const longitude = Number(source.longitude);
+    if (
+      !isPresent(source.latitude) ||
+      !isPresent(source.longitude) ||
+      !Number.isFinite(latitude) ||
+      !Number.isFinite(longitude) ||
+      Math.abs(latitude) > 90 ||
+      Math.abs(longitude) > 180
+    ) {
+      return {
+        options,
+        error: "latitude and longitude must both be provided as valid coordinates.",
+      };
+    }
+    options.latitude = latitude;
+    options.longitude = longitude;
+  }
+
+  if (isPresent(source.timezone)) {
+    if (!IANAZone.isValidZone(source.timezone)) {
+      return { options, error: `Unknown IANA timezone "${source.timezone}".` };
+    }
+    options.timezone = source.timezone;
+  }
+
+  if (isPresent(source.utcOffset)) {
+    const utcOffset = parseUtcOffset(source.utcOffset);
+    if (utcOffset === null) {
+      return {
+        options,
+        error: 'utcOffset must be a number of hours or a "+HH:MM" string.',
+      };
+    }
+    options.utcOffset = utcOffset;
+  }
+
+  if (isPresent(source.timeMode)) {
+    if (!TIME_MODES.includes(source.timeMode)) {
+      return {
+        options,
+        error: `timeMode must be one of: ${TIME_MODES.join(", ")}.`,
+      };
+    }
+    options.timeMode = source.timeMode;
+  }
+
+  if (isPresent(source.dstResolution)) {
+    if (!DST_RESOLUTIONS.includes(source.dstResolution)) {
+      return {
+        options,
+        error: `dstResolution must be one of: ${DST_RESOLUTIONS.join(", ")}.`,
+      };
+    }
+    options.dstResolution = source.dstResolution;
+  }
+
+  if (isPresent(source.aspectProfile)) {
+    if (!ASPECT_PROFILES[source.aspectProfile]) {
+      return {
+        options,
+        error: `aspectProfile must be one of: ${Object.keys(ASPECT_PROFILES).join(", ")}.`,
+      };
+    }
+    options.aspectProfile = source.aspectProfile;
+  }
+
+  if (isPresent(source.zodiac)) {
+    if (!ZODIACS.includes(source.zodiac)) {
+      return {
+        options,
+        error: `zodiac must be one of: ${ZODIACS.join(", ")}.`,
+      };
+    }
+    options.zodiac = source.zodiac;
+  }
+
+  if (isPresent(source.ayanamsa)) {
+    if (!Object.hasOwn(AYANAMSAS, source.ayanamsa)) {
+      return {
+        options,
+        error: `ayanamsa must be one of: ${Object.keys(AYANAMSAS).join(", ")}.`,
+      };
+    }
+    if (options.zodiac && options.zodiac !== "sidereal") {
+      return {
+        options,
+        error: 'ayanamsa only applies to sidereal charts; send zodiac "sidereal" or leave ayanamsa out.',
+      };
+    }
+    // An ayanamsa on its own asks for a sidereal chart.
+    options.zodiac = "sidereal";
+    options.ayanamsa = source.ayanamsa;
+  }
+
+  if (isPresent(source.frame)) {
+    if (!FRAMES.includes(source.frame)) {
+      return {
+        options,
+        error: `frame must be one of: ${FRAMES.join(", ")}.`,
+      };
+    }
+    options.frame = source.frame;
+  }
+
+  if (isPresent(source.altitude)) {
+    const altitude = Number(source.altitude);
+    if (!Number.isFinite(altitude) || altitude < MIN_ALTITUDE || altitude > MAX_ALTITUDE) {
+      return {
+        options,
+        error: `altitude must be a number of meters from ${MIN_ALTITUDE} to ${MAX_ALTITUDE}.`,
+      };
+    }
+    if (options.frame !== "topocentric") {
+      return {
+        options,
+        error: 'altitude only applies to topocentric charts; send frame "topocentric" or leave altitude out.',
+      };
+    }
+    options.altitude = altitude;
+  }
+
+  if (isPresent(source.bodies)) {
+    try {
+      resolveExtendedBodies(source.bodies);
+    } catch (err) {
+      return { options, error: err.message };
+    }
+    options.bodies = source.bodies;
+  }
+
+  if (isPresent(source.stationThreshold)) {
+    const stationThreshold = Number(source.stationThreshold);
+    if (!Number.isFinite(stationThreshold) || stationThreshold <= 0) {
+      return {
+        options,
+        error: "stationThreshold must be a positive speed in degrees per day.",
+      };
+    }
+    options.stationThreshold = stationThreshold;
+  }
+
+  if (isPresent(source.parallelOrb)) {
+    const parallelOrb = Number(source.parallelOrb);
+    if (!Number.isFinite(parallelOrb) || parallelOrb <= 0 || parallelOrb > MAX_PARALLEL_ORB) {
+      return {
+        options,
+        error: `parallelOrb must be a number of degrees above 0 and up to ${MAX_PARALLEL_ORB}.`,
+      };
+    }
+    options.parallelOrb = parallelOrb;
+  }
+
+  if (isPresent(source.fixedStars) && source.fixedStars !== false) {
+    const stars = source.fixedStars;
+    if (stars !== true) {
+      if (
+        !Array.isArray(stars) ||
+        stars.length === 0 ||
+        stars.length > MAX_FIXED_STARS ||
+        stars.some((name) => typeof name !== "string" || name.trim() === "")
+      ) {
+        return {
+          options,
+          error: `fixedStars must be true or a list of up to ${MAX_FIXED_STARS} star names.`,
+        };
+      }
+      const unknown = findUnknownStars(stars);
+      if (unknown.length > 0) {
+        return { options, error: `Unknown fixed stars: ${unknown.join(", ")}.` };
+      }
+    }
+    options.fixedStars = stars;
+  }
+
+  if (isPresent(source.fixedStarOrb)) {
+    const fixedStarOrb = Number(source.fixedStarOrb);
+    if (!Number.isFinite(fixedStarOrb) || fixedStarOrb <= 0 || fixedStarOrb > MAX_STAR_ORB) {
+      return {
+        options,
+        error: `fixedStarOrb must be a number of degrees above 0 and up to ${MAX_STAR_ORB}.`,
+      };
+    }
+    options.fixedStarOrb = fixedStarOrb;
+  }
+
+  return { options, error: null };
 };
 
 /**
- * Determines the house placement of a celestial body.
- * @param {number} longitude - The celestial longitude of the planet.
- * @param {Array<number>} houseCusps - An array of 12 house cusp longitudes.
- * @returns {number | null} - The house number (1-12) or null if not found.
+ * Extracts the progression options (target date, angle method, converse)
+ * from a request body.
+ * @param {object} source - { targetDate, angleMethod, converse }.
+ * @returns {{options: object, error: string | null}} - The normalized options, or a validation error.
  */
-const getHousePlacement = (longitude, houseCusps) => {
-  if (!houseCusps || houseCusps.length < 12) return null;
-  for (let i = 0; i < 12; i++) {
-    const cusp1 = houseCusps[i];
-    const cusp2 = houseCusps[(i + 1) % 12]; // Next cusp, wraps around from 12 to 1
-    if (cusp1 > cusp2) {
-      // Handle the case where the house crosses the 0° Aries point
-      if (longitude >= cusp1 || longitude < cusp2) return i + 1;
-    } else {
-      if (longitude >= cusp1 && longitude < cusp2) return i + 1;
+const parseProgressionOptions = ({ targetDate, angleMethod, converse } = {}) => {
+  const options = {};
+  if (targetDate !== undefined && targetDate !== null && targetDate !== "") {
+    const parsed = DateTime.fromISO(String(targetDate), { setZone: true });
+    if (!parsed.isValid) {
+      return { options, error: "targetDate must be an ISO date or date-time." };
+    }
+    options.targetDate = parsed;
+  }
+  if (angleMethod !== undefined && angleMethod !== null && angleMethod !== "") {
+    if (!ANGLE_METHODS.includes(angleMethod)) {
+      return {
+        options,
+        error: `angleMethod must be one of: ${ANGLE_METHODS.join(", ")}.`,
+      };
+    }
+    options.angleMethod = angleMethod;
+  }
+  options.converse = converse === true || converse === "true";
+  return { options, error: null };
+};
+
+/**
+ * Extracts the transit hit filters (bodies, natal points, aspects, orb)
+ * from a request body.
+ * @param {object} source - { bodies, natalPoints, aspects, orb }.
+ * @param {object} natalChart - The chart searched; natalPoints must name its points.
+ * @returns {{options: object, error: string | null}} - The normalized options, or a validation error.
+ */
+const parseTransitHitOptions = ({ bodies, natalPoints, aspects, orb } = {}, natalChart) => {
+  const options = {};
+  const isNameList = (value) =>
+    Array.isArray(value) &&
+    value.length > 0 &&
+    value.every((name) => typeof name === "string");
+
+  if (bodies !== undefined) {
+    if (!isNameList(bodies) || bodies.some((name) => TRANSIT_BODIES[name] === undefined)) {
+      return {
+        options,
+        error: `bodies must be a list of: ${Object.keys(TRANSIT_BODIES).join(", ")}.`,
+      };
+    }
+    options.bodies = bodies;
+  }
+  if (natalPoints !== undefined) {
+    const pointNames = Object.keys(withAngles(natalChart));
+    if (!isNameList(natalPoints) || natalPoints.some((name) => !pointNames.includes(name))) {
+      return {
+        options,
+        error: `natalPoints must be a list of this chart's points: ${pointNames.join(", ")}.`,
+      };
     }
+    options.natalPoints = natalPoints;
   }
-  return null;
+  if (aspects !== undefined) {
+    if (!isNameList(aspects) || aspects.some((name) => !ASPECT_TYPES[name])) {
+      return {
+        options,
+        error: `aspects must be a list of: ${Object.keys(ASPECT_TYPES).join(", ")}.`,
+      };
+    }
+    options.aspects = aspects;
+  }
+  if (orb !== undefined) {
+    const value = Number(orb);
+    if (!Number.isFinite(value) || value <= 0 || value > 5) {
+      return { options, error: "orb must be a number of degrees above 0 and up to 5." };
+    }
+    options.orb = value;
+  }
+  return { options, error: null };
+};
+
+/**
+ * Attaches progressions to the selected charts for the chat routes. Charts
+ * that can't be progressed are left as they are.
+ * @param {Array<object>} charts - Events as sent by the client ({ event_id, event_data }).
+ * @param {Array<number>} eventIds - The events to progress.
+ * @param {object} progressionOptions - Options from parseProgressionOptions.
+ * @returns {Array<object>} - The same charts.
+ */
+const addProgressions = (charts, eventIds, progressionOptions) => {
+  for (const chart of charts) {
+    if (!eventIds.includes(chart.event_id) || !chart.event_data) continue;
+    try {
+      chart.progressions = calculateProgressions(
+        chart.event_data,
+        progressionOptions
+      );
+    } catch (err) {
+      console.error(
+        `Could not progress event ID ${chart.event_id}:`,
+        err.message
+      );
+    }
+  }
+  sweph.swe_close();
+  return charts;
 };
 
+/**
+ * Resolves a location through the geocode cache, only calling the geocoding
+ * providers on a miss. Cache failures never block a chart calculation.
+ * @param {string} location - The location of the event.
+ * @param {DateTime} localTime - The local event time.
+ * @returns {Promise<object>} - The resolved location, flagged with whether it came from the cache.
+ */
+async function resolveChartLocation(location, localTime) {
+  try {
+    const cached = await getCachedLocation(pool, location);
+    if (cached) return { ...cached, cached: true };
+  } catch (cacheError) {
+    console.warn("Geocode cache lookup failed:", cacheError.message);
+  }
+
+  const resolved = await resolveLocation(location, localTime);
+
+  // The offline dataset is already local, so only remote results are worth caching.
+  if (resolved.provider !== "offline") {
+    try {
+      await storeCachedLocation(pool, location, resolved);
+    } catch (cacheError) {
+      console.warn("Geocode cache write failed:", cacheError.message);
+    }
+  }
+
+  return { ...resolved, cached: false };
+}
+
 /**
  * Main helper function to perform all astrological calculations.
  * @param {number} year - The year of the event.
  * @param {number} month - The month of the event.
  * @param {number} day - The day of the event.
  * @param {string} time - The time of the event (e.g., "14:30").
- * @param {string} location - The location of the event.
+ * @param {string} location - The location of the event. Optional when coordinates are given.
+ * @param {boolean} [includeHouses=true] - Whether to calculate houses and house placements.
+ * @param {string} [houseSystem="P"] - House system code or name (see lib/houses.js).
+ * @param {object} [options] - Optional chart options from parseChartOptions.
+ * @param {number} [options.latitude] - Explicit latitude; with longitude, bypasses geocoding.
+ * @param {number} [options.longitude] - Explicit longitude; with latitude, bypasses geocoding.
+ * @param {string} [options.timezone] - Explicit IANA timezone for the local time.
+ * @param {number} [options.utcOffset] - Fixed UTC offset in hours; takes precedence over any timezone.
+ * @param {string} [options.timeMode="zone"] - "zone", or "lmt" for Local Mean Time from the longitude.
+ * @param {string} [options.dstResolution] - "earlier" or "later" offset for ambiguous/nonexistent local times.
+ * @param {string} [options.aspectProfile="modern"] - Name of the aspect profile (see lib/aspects.js).
+ * @param {string} [options.zodiac="tropical"] - "tropical" or "sidereal".
+ * @param {string} [options.ayanamsa="lahiri"] - Ayanamsa for sidereal charts (see lib/zodiac.js).
+ * @param {string} [options.frame="geocentric"] - "geocentric", "topocentric", or "heliocentric" (which has no houses).
+ * @param {number} [options.altitude=0] - Observer altitude in meters for topocentric charts.
+ * @param {string|Array<string>} [options.bodies="standard"] - "extended" or a list of extended bodies (see lib/bodies.js).
+ * @param {number} [options.stationThreshold] - |speed| in degrees/day below which a body is stationary (see lib/motion.js).
+ * @param {number} [options.parallelOrb=1] - Orb in degrees of declination for parallels and contraparallels.
+ * @param {boolean|Array<string>} [options.fixedStars] - true for the default star list, or star names (see lib/fixedStars.js).
+ * @param {number} [options.fixedStarOrb=1] - Orb in degrees for fixed star conjunctions.
  * @returns {Promise<object>} - A promise that resolves to the complete chart data object.
+ * @throws {LocalTimeConflictError} - Throws if the local time is ambiguous or nonexistent and no dstResolution was given.
  * @throws {Error} - Throws an error if any part of the calculation fails.
  */
 async function calculateChart(
@@ -153,48 +718,67 @@ async function calculateChart(
   time,
   location,
   includeHouses = true, // ✅ New optional parameter
-  houseSystem = "P" // Default house system
+  houseSystem = DEFAULT_HOUSE_SYSTEM, // Default house system
+  options = {}
 ) {
+  const houseSystemCode = normalizeHouseSystem(houseSystem);
+  if (!houseSystemCode) {
+    throw new Error(`Unsupported house system "${houseSystem}".`);
+  }
+
   // --- 1. Geocoding and Timezone Conversion ---
   // This step is still needed to convert the local time to the correct Universal Time (UT),
   // as the timezone is derived from the location.
-  const geocodingApiKey = process.env.GEOCODING_API_KEY;
-  if (!geocodingApiKey) {
-    throw new Error("GEOCODING_API_KEY not found on the server.");
-  }
-
-  const geocodeUrl = `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(
-    location
-  )}&key=${geocodingApiKey}`;
-  const geocodeResponse = await axios.get(geocodeUrl);
-  const geoData = geocodeResponse.data;
-
-  if (geoData.status !== "OK" || !geoData.results[0]) {
-    throw new Error("Could not geocode the provided location.");
-  }
-
-  const { lat, lng } = geoData.results[0].geometry.location;
-  const formattedLocation = geoData.results[0].formatted_address;
-
   const isoString = `${year}-${String(month).padStart(2, "0")}-${String(
     day
   ).padStart(2, "0")}T${time}`;
   const localTime = DateTime.fromISO(isoString);
 
-  const timezoneUrl = `https://maps.googleapis.com/maps/api/timezone/json?location=${lat},${lng}&timestamp=${localTime.toSeconds()}&key=${geocodingApiKey}`;
-  const timezoneResponse = await axios.get(timezoneUrl);
-  const tzData = timezoneResponse.data;
-
-  if (tzData.status !== "OK") {
-    throw new Error("Could not determine the timezone for the location.");
-  }
-
-  const utcTime = DateTime.fromISO(isoString, {
-    zone: tzData.timeZoneId,
-  }).toUTC();
-  if (!utcTime.isValid) {
-    throw new Error(`Invalid date or time provided: ${utcTime.invalidReason}`);
+  const { latitude, longitude, timezone, utcOffset } = options;
+  const aspectProfile = options.aspectProfile || DEFAULT_ASPECT_PROFILE;
+  const zodiac = options.zodiac || "tropical";
+  const ayanamsa =
+    zodiac === "sidereal" ? options.ayanamsa || DEFAULT_AYANAMSA : undefined;
+  const frame = options.frame || "geocentric";
+  // Houses and angles belong to a place on Earth, so heliocentric charts have none.
+  if (frame === "heliocentric") includeHouses = false;
+  const hasCoordinates =
+    typeof latitude === "number" && typeof longitude === "number";
+
+  let resolvedLocation;
+  if (hasCoordinates) {
+    // Explicit coordinates bypass geocoding entirely.
+    resolvedLocation = {
+      latitude,
+      longitude,
+      formattedLocation: location || `${latitude}, ${longitude}`,
+      timeZoneId:
+        timezone ||
+        (typeof utcOffset === "number"
+          ? null
+          : findTimezoneForCoordinates(latitude, longitude)),
+      provider: "explicit",
+      confidence: 1,
+      cached: false,
+    };
+  } else {
+    resolvedLocation = await resolveChartLocation(location, localTime);
+    if (timezone) resolvedLocation.timeZoneId = timezone;
   }
+  const { latitude: lat, longitude: lng, formattedLocation } = resolvedLocation;
+
+  const zone =
+    typeof utcOffset === "number"
+      ? FixedOffsetZone.instance(Math.round(utcOffset * 60))
+      : resolvedLocation.timeZoneId;
+  const localTimeResult = resolveLocalTime({
+    isoString,
+    zone,
+    longitude: lng,
+    timeMode: options.timeMode,
+    dstResolution: options.dstResolution,
+  });
+  const { utcTime } = localTimeResult;
 
   // --- 2. Astrological Calculations using Swiss Ephemeris ---
   sweph.swe_set_ephe_path(__dirname + "/ephe");
@@ -206,6 +790,7 @@ async function calculateChart(
     utcTime.hour + utcTime.minute / 60 + utcTime.second / 3600,
     sweph.SE_GREG_CAL
   );
+  const obliquity = getObliquity(julianDayUT);
 
   const chartData = {
     meta: {
@@ -213,142 +798,436 @@ async function calculateChart(
       location: formattedLocation,
       latitude: lat,
       longitude: lng,
-      inputs: { year, month, day, time, location },
+      timezone: localTimeResult.timeZone,
+      utcOffset: localTimeResult.utcOffset,
+      timeResolution: localTimeResult.resolution,
+      aspectProfile,
+      zodiac: describeZodiac(julianDayUT, zodiac, ayanamsa),
+      frame: {
+        type: frame,
+        ...(frame === "topocentric" ? { altitude: options.altitude || 0 } : {}),
+      },
+      obliquity,
+      unavailableBodies: [],
+      geocoding: {
+        provider: resolvedLocation.provider,
+        confidence: resolvedLocation.confidence,
+        cached: resolvedLocation.cached,
+      },
+      inputs: {
+        year,
+        month,
+        day,
+        time,
+        location,
+        houseSystem: houseSystemCode,
+        ...options,
+      },
     },
     positions: {},
     houses: null, // Default to null
     aspects: [],
+    declinationAspects: [],
   };
 
   // --- 3. House Calculation (Now Conditional) ---
+  // The angles are also needed by the derived extended points (Vertex, East
+  // Point, Lots), so they're calculated whenever either is requested.
+  // Heliocentric charts can't have the derived points, which need the angles or the Moon's nodes.
+  const requestedBodies = resolveExtendedBodies(options.bodies);
+  const extendedBodies =
+    frame === "heliocentric"
+      ? requestedBodies.filter((name) => !DERIVED_POINTS.includes(name))
+      : requestedBodies;
+  const needsAngles =
+    includeHouses ||
+    extendedBodies.some(
+      (name) => name !== "South Node" && DERIVED_POINTS.includes(name)
+    );
+  let housesResult = null;
+  if (needsAngles) {
+    housesResult = calculateHouses(
+      julianDayUT,
+      applyZodiac(zodiac, ayanamsa),
+      lat,
+      lng,
+      houseSystemCode
+    );
+  }
   if (includeHouses) {
-    const housesResult = sweph.swe_houses(julianDayUT, lat, lng, houseSystem);
-    if (housesResult.error) {
-      throw new Error(`House calculation failed: ${housesResult.error}`);
-    }
     chartData.houses = {
-      system: houseSystem,
-      ascendant: housesResult.asc,
+      system: housesResult.system,
+      name: HOUSE_SYSTEMS[housesResult.system],
+      ascendant: housesResult.ascendant,
       mc: housesResult.mc,
       cusps: housesResult.house.slice(0, 12),
     };
+    if (housesResult.system !== houseSystemCode) {
+      // The requested system is undefined at this latitude.
+      chartData.houses.requestedSystem = houseSystemCode;
+    }
   }
 
   // --- 4. Planet Calculation ---
-  const planets = {
-    Sun: sweph.SE_SUN,
-    Moon: sweph.SE_MOON,
-    Mercury: sweph.SE_MERCURY,
-    Venus: sweph.SE_VENUS,
-    Mars: sweph.SE_MARS,
-    Jupiter: sweph.SE_JUPITER,
-    Saturn: sweph.SE_SATURN,
-    Uranus: sweph.SE_URANUS,
-    Neptune: sweph.SE_NEPTUNE,
-    Pluto: sweph.SE_PLUTO,
-    "North Node": sweph.SE_TRUE_NODE,
-    Chiron: sweph.SE_CHIRON,
+  let planets = { ...STANDARD_BODIES };
+  for (const name of extendedBodies) {
+    if (EXTENDED_BODIES[name] !== undefined) planets[name] = EXTENDED_BODIES[name];
+  }
+  if (frame === "heliocentric") {
+    const omitted = [...GEOCENTRIC_ONLY_BODIES, ...DERIVED_POINTS].filter(
+      (name) => planets[name] !== undefined || requestedBodies.includes(name)
+    );
+    for (const name of omitted) {
+      delete planets[name];
+      chartData.meta.unavailableBodies.push({
+        body: name,
+        reason: "Not defined in a heliocentric chart.",
+      });
+    }
+    planets = { ...HELIOCENTRIC_BODIES, ...planets };
+  }
+
+  // Build the position data object, adding sign and (if available) house placement
+  const toPositionData = (point) => {
+    const signInfo = getZodiacSign(point.longitude);
+    const positionData = {
+      ...point,
+      sign: signInfo.sign,
+      sign_degrees: signInfo.degrees,
+    };
+    if (includeHouses && chartData.houses) {
+      positionData.house = getHousePlacement(
+        point.longitude,
+        chartData.houses.cusps
+      );
+    }
+    return positionData;
   };
 
+  const zodiacFlag = applyZodiac(zodiac, ayanamsa);
+  const frameFlag = applyFrame(frame, {
+    latitude: lat,
+    longitude: lng,
+    altitude: options.altitude,
+  });
   for (const [name, id] of Object.entries(planets)) {
     const result = sweph.swe_calc_ut(
       julianDayUT,
       id,
-      sweph.SEFLG_SPEED | sweph.SEFLG_JPLEPH
+      sweph.SEFLG_SPEED | sweph.SEFLG_JPLEPH | zodiacFlag | frameFlag
     );
     if (result.error) {
+      // Usually a missing ephemeris file (e.g., seas_18.se1 for asteroids)
       console.warn(`Swiss Ephemeris warning for ${name}:`, result.error);
+      chartData.meta.unavailableBodies.push({ body: name, reason: result.error });
       continue;
     }
-    const signInfo = getZodiacSign(result.longitude);
 
-    // Build the position data object
-    const positionData = {
+    const equatorial = calcEquatorial(julianDayUT, id, frameFlag);
+    chartData.positions[name] = toPositionData({
       longitude: result.longitude,
       latitude: result.latitude,
-      speed: result.speed,
-      sign: signInfo.sign,
-      sign_degrees: signInfo.degrees,
-    };
-
-    // ✅ Conditionally add house placement
-    if (includeHouses && chartData.houses) {
-      positionData.house = getHousePlacement(
-        result.longitude,
-        chartData.houses.cusps
-      );
-    }
+      speed: result.longitudeSpeed,
+      rightAscension: equatorial?.rightAscension,
+      declination: equatorial?.declination,
+      outOfBounds: equatorial
+        ? isOutOfBounds(equatorial.declination, obliquity)
+        : undefined,
+      ...describeMotion(
+        name,
+        julianDayUT,
+        result.longitudeSpeed,
+        zodiacFlag | frameFlag,
+        options.stationThreshold
+      ),
+    });
+  }
 
-    chartData.positions[name] = positionData;
+  const derivedPoints = calculateDerivedPoints(
+    extendedBodies,
+    chartData.positions,
+    housesResult
+  );
+  // Derived longitudes are in the chart's zodiac; equatorial coordinates need tropical ones.
+  const ayanamsaValue = chartData.meta.zodiac.ayanamsaValue || 0;
+  for (const [name, point] of Object.entries(derivedPoints)) {
+    const equatorial = eclipticToEquatorial(
+      point.longitude + ayanamsaValue,
+      point.latitude || 0,
+      obliquity
+    );
+    const withEquatorial = {
+      ...point,
+      ...equatorial,
+      outOfBounds: isOutOfBounds(equatorial.declination, obliquity),
+    };
+    chartData.positions[name] = toPositionData(
+      typeof point.speed === "number"
+        ? { ...withEquatorial, ...describeMotion(name, julianDayUT, point.speed) }
+        : withEquatorial
+    );
   }
 
   // --- 5. Aspect Calculation (Unaffected by houses) ---
-  const aspectTypes = {
-    conjunction: { angle: 0, orb: 8, color: "#4a4a4a" },
-    opposition: { angle: 180, orb: 8, color: "#ff4d4d" },
-    trine: { angle: 120, orb: 8, color: "#2b8a3e" },
-    square: { angle: 90, orb: 8, color: "#e03131" },
-    sextile: { angle: 60, orb: 6, color: "#1c7ed6" },
-    quincunx: { angle: 150, orb: 3, color: "#f08c00" },
-  };
+  chartData.aspects = calculateAspects(chartData.positions, aspectProfile);
+  chartData.declinationAspects = calculateParallels(
+    chartData.positions,
+    options.parallelOrb ?? DEFAULT_PARALLEL_ORB
+  );
+  chartData.patterns = detectAspectPatterns(chartData);
+
+  // Fixed stars are opt-in: conjunctions to the planets and angles, and parans at the birth latitude.
+  if (options.fixedStars) {
+    chartData.fixedStars = calculateFixedStars(julianDayUT, chartData, {
+      stars: resolveFixedStars(options.fixedStars),
+      orb: options.fixedStarOrb ?? DEFAULT_STAR_ORB,
+      flags: zodiacFlag,
+      latitude: frame === "heliocentric" ? undefined : lat,
+    });
+  }
 
-  const planetNames = Object.keys(chartData.positions);
-  for (let i = 0; i < planetNames.length; i++) {
-    for (let j = i + 1; j < planetNames.length; j++) {
-      const p1 = chartData.positions[planetNames[i]];
-      const p2 = chartData.positions[planetNames[j]];
-      if (!p1 || !p2) continue;
-      let angle = Math.abs(p1.longitude - p2.longitude);
-      if (angle > 180) angle = 360 - angle;
-      for (const aspectName in aspectTypes) {
-        const aspect = aspectTypes[aspectName];
-        if (Math.abs(angle - aspect.angle) <= aspect.orb) {
-          chartData.aspects.push({
-            planet1: planetNames[i],
-            planet2: planetNames[j],
-            aspect: aspectName,
-            orb: Math.abs(angle - aspect.angle),
-            color: aspect.color,
-          });
-          break;
-        }
-      }
-    }
+  // --- 6. Analysis (dignities, sect, and rulers need the houses) ---
+  if (includeHouses) {
+    chartData.analysis = analyzeChart(chartData);
   }
 
-  // --- 6. Cleanup ---
+  // --- 7. Cleanup ---
   sweph.swe_close();
 
   return chartData;
 }
 
-async function recalculateAllChartsOnStartup() {
-  console.log("🚀 Starting recalculation of all saved astro charts...");
-  let conn;
-  try {
-    conn = await pool.getConnection();
+/**
+ * Loads some of a user's events, in the order their IDs were given.
+ * @param {object} conn - An open database connection.
+ * @param {string} userId - The owner of the events.
+ * @param {Array<number|string>} eventIds - The event IDs to load.
+ * @returns {Promise<{events: Array<{eventId: number, label: string, chart: object}>, missing: Array}>}
+ */
+async function loadUserEvents(conn, userId, eventIds) {
+  const ids = eventIds.map((id) => parseInt(id));
+  const rows = await conn.query(
+    `SELECT event_id, label, event_data FROM astro_event_data
+     WHERE user_id = ? AND event_id IN (${ids.map(() => "?").join(", ")})`,
+    [userId, ...ids]
+  );
 
-    const queryResult = await conn.query(
-      "SELECT event_id, event_data FROM astro_event_data"
+  const events = [];
+  const missing = [];
+  for (const id of ids) {
+    const row = rows.find((candidate) => Number(candidate.event_id) === id);
+    if (!row) {
+      missing.push(id);
+      continue;
+    }
+    events.push({
+      eventId: id,
+      label: row.label,
+      chart:
+        typeof row.event_data === "string"
+          ? JSON.parse(row.event_data)
+          : row.event_data,
+    });
+  }
+  return { events, missing };
+}
+
+/**
+ * Calculates a solar or lunar return chart for a natal chart.
+ * @param {object} natalChart - The natal chart (stored event data).
+ * @param {object} derived - The return descriptor: { returnType, year, month?, location?, latitude?, longitude?, houseSystem, options }.
+ * @returns {Promise<object>} - The return chart, with `meta.return` describing the exact return.
+ */
+async function calculateReturnChart(natalChart, derived) {
+  const { returnType } = derived;
+  const natalLongitude =
+    natalChart.positions?.[RETURN_TYPES[returnType].name]?.longitude;
+  if (typeof natalLongitude !== "number") {
+    throw new Error(
+      `The natal chart has no ${RETURN_TYPES[returnType].name} position.`
     );
+  }
 
-    let events = [];
-    if (queryResult) {
-      if (Array.isArray(queryResult)) {
-        events = queryResult;
-      } else if (typeof queryResult === "object" && queryResult !== null) {
-        events = [queryResult];
-      }
+  const exact = findReturn(
+    returnType,
+    natalLongitude,
+    toJulianDay(DateTime.utc(derived.year, derived.month || 1, 1)),
+    applyZodiac(derived.options.zodiac, derived.options.ayanamsa)
+  );
+  const returnMoment = fromJulianDay(exact.julianDay);
+
+  // Cast the chart for the relocation if there is one, otherwise the birthplace.
+  let place;
+  if (typeof derived.latitude === "number") {
+    place = {
+      latitude: derived.latitude,
+      longitude: derived.longitude,
+      formattedLocation: derived.location || null,
+    };
+  } else if (derived.location) {
+    place = await resolveChartLocation(derived.location, returnMoment);
+  } else {
+    place = {
+      latitude: natalChart.meta.latitude,
+      longitude: natalChart.meta.longitude,
+      formattedLocation: natalChart.meta.location,
+    };
+  }
+  // The chart is cast with an explicit offset, so UTC is a safe fallback when
+  // no timezone can be found for the place.
+  let timeZoneId = place.timeZoneId;
+  if (!timeZoneId) {
+    try {
+      timeZoneId = findTimezoneForCoordinates(place.latitude, place.longitude);
+    } catch (err) {
+      console.warn("Return chart timezone lookup failed, using UTC:", err.message);
+      timeZoneId = "utc";
     }
-
-    if (events.length === 0) {
-      console.log("No saved charts to recalculate. Startup complete.");
-      if (conn) conn.release();
-      return;
+  }
+  const localMoment = returnMoment.setZone(timeZoneId);
+
+  const chartData = await calculateChart(
+    localMoment.year,
+    localMoment.month,
+    localMoment.day,
+    localMoment.toFormat("HH:mm:ss"),
+    place.formattedLocation,
+    true,
+    derived.houseSystem,
+    {
+      ...derived.options,
+      latitude: place.latitude,
+      longitude: place.longitude,
+      utcOffset: localMoment.offset / 60,
+    }
+  );
+  chartData.meta.type = `${returnType}-return`;
+  chartData.meta.return = {
+    type: returnType,
+    body: RETURN_TYPES[returnType].name,
+    natalLongitude,
+    exactDate: exact.date,
+    julianDay: exact.julianDay,
+  };
+  return chartData;
+}
+
+/**
+ * Builds a derived chart (relationship chart or return) from its source charts.
+ * @param {object} derived - The `meta.derived` descriptor: { type, sourceEventIds, ... }.
+ * @param {Array<object>} sourceCharts - The source charts, in sourceEventIds order.
+ * @returns {Promise<object>} - The chart, with `meta.derived` set.
+ */
+async function calculateDerivedChart(derived, [first, second]) {
+  let chartData;
+  if (derived.type === "return") {
+    chartData = await calculateReturnChart(first, derived);
+  } else if (derived.type === "composite") {
+    chartData = calculateComposite(first, second, {
+      midpoint: derived.midpoint,
+      aspectProfile: derived.options.aspectProfile,
+    });
+    chartData.patterns = detectAspectPatterns(chartData);
+    chartData.analysis = analyzeChart(chartData);
+  } else {
+    const { utcTime, latitude, longitude } = getDavisonMidpoint(first, second);
+    chartData = await calculateChart(
+      utcTime.year,
+      utcTime.month,
+      utcTime.day,
+      utcTime.toFormat("HH:mm:ss"),
+      null,
+      true,
+      derived.houseSystem,
+      { ...derived.options, latitude, longitude, utcOffset: 0 }
+    );
+    chartData.meta.type = "davison";
+  }
+  chartData.meta.derived = derived;
+  return chartData;
+}
+
+/**
+ * Recalculates the saved derived events built from a source event, after that
+ * source has been edited. Failures are logged rather than thrown.
+ * @param {object} conn - An open database connection.
+ * @param {string} userId - The owner of the events.
+ * @param {number|string} sourceEventId - The edited event.
+ */
+async function refreshDerivedEvents(conn, userId, sourceEventId) {
+  const rows = await conn.query(
+    `SELECT event_id, event_data FROM astro_event_data
+     WHERE user_id = ?
+       AND JSON_CONTAINS(JSON_EXTRACT(event_data, '$.meta.derived.sourceEventIds'), ?)`,
+    [userId, String(parseInt(sourceEventId))]
+  );
+
+  for (const row of rows) {
+    try {
+      const data =
+        typeof row.event_data === "string"
+          ? JSON.parse(row.event_data)
+          : row.event_data;
+      const { derived } = data.meta;
+      const { events, missing } = await loadUserEvents(
+        conn,
+        userId,
+        derived.sourceEventIds
+      );
+      if (missing.length > 0) {
+        console.warn(
+          `Skipping derived event ${row.event_id}: source event(s) ${missing.join(", ")} no longer exist.`
+        );
+        continue;
+      }
+
+      const chartData = await calculateDerivedChart(
+        derived,
+        events.map((event) => event.chart)
+      );
+      await conn.query(
+        "UPDATE astro_event_data SET event_data = ? WHERE event_id = ?",
+        [JSON.stringify(chartData), row.event_id]
+      );
+    } catch (err) {
+      console.error(
+        `Failed to refresh derived event ${row.event_id}:`,
+        err.message
+      );
+    }
+  }
+}
+
+async function recalculateAllChartsOnStartup() {
+  console.log("🚀 Starting recalculation of all saved astro charts...");
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const queryResult = await conn.query(
+      "SELECT event_id, user_id, event_data FROM astro_event_data"
+    );
+
+    let events = [];
+    if (queryResult) {
+      if (Array.isArray(queryResult)) {
+        events = queryResult;
+      } else if (typeof queryResult === "object" && queryResult !== null) {
+        events = [queryResult];
+      }
+    }
+
+    if (events.length === 0) {
+      console.log("No saved charts to recalculate. Startup complete.");
+      if (conn) conn.release();
+      return;
     }
 
     console.log(`Found ${events.length} charts to process.`);
 
+    // Derived charts are rebuilt from their sources once those are up to date.
+    const derivedEvents = [];
+
     for (const event of events) {
       try {
         const eventId = event.event_id;
@@ -359,6 +1238,11 @@ async function recalculateAllChartsOnStartup() {
           data = event.event_data;
         }
 
+        if (data.meta?.derived) {
+          derivedEvents.push({ ...event, data });
+          continue;
+        }
+
         let inputs;
         if (data.meta && data.meta.inputs) {
           inputs = data.meta.inputs;
@@ -390,7 +1274,7 @@ async function recalculateAllChartsOnStartup() {
           !inputs.month ||
           !inputs.day ||
           !inputs.time ||
-          !inputs.location
+          (!inputs.location && inputs.latitude === undefined)
         ) {
           console.warn(
             `Skipping event ID ${eventId}: Missing or invalid input data even after fallback.`
@@ -398,6 +1282,17 @@ async function recalculateAllChartsOnStartup() {
           continue;
         }
 
+        // Options that no longer validate would be dropped, and the chart
+        // quietly rewritten without them, so leave such events as they are.
+        const { options: storedOptions, error: optionsError } =
+          parseChartOptions(inputs);
+        if (optionsError) {
+          console.warn(
+            `Skipping event ID ${eventId}: Stored options are no longer valid (${optionsError}).`
+          );
+          continue;
+        }
+
         console.log(`Recalculating chart for event ID: ${eventId}...`);
 
         const recalculatedChartData = await calculateChart(
@@ -405,7 +1300,15 @@ async function recalculateAllChartsOnStartup() {
           inputs.month,
           inputs.day,
           inputs.time,
-          inputs.location
+          inputs.location,
+          true,
+          inputs.houseSystem || DEFAULT_HOUSE_SYSTEM,
+          {
+            ...storedOptions,
+            // Charts saved before DST handling existed were resolved with the
+            // pre-transition offset, so keep reproducing that choice.
+            dstResolution: inputs.dstResolution || "earlier",
+          }
         );
 
         const updateQuery =
@@ -426,6 +1329,40 @@ async function recalculateAllChartsOnStartup() {
       }
     }
 
+    for (const event of derivedEvents) {
+      try {
+        const { derived } = event.data.meta;
+        const { events: sources, missing } = await loadUserEvents(
+          conn,
+          event.user_id,
+          derived.sourceEventIds
+        );
+        if (missing.length > 0) {
+          console.warn(
+            `Skipping derived event ID ${event.event_id}: source event(s) ${missing.join(", ")} no longer exist.`
+          );
+          continue;
+        }
+
+        const recalculatedChartData = await calculateDerivedChart(
+          derived,
+          sources.map((source) => source.chart)
+        );
+        await conn.query(
+          "UPDATE astro_event_data SET event_data = ? WHERE event_id = ?",
+          [JSON.stringify(recalculatedChartData), event.event_id]
+        );
+        console.log(
+          `✅ Successfully recalculated ${derived.type} chart for event ID: ${event.event_id}`
+        );
+      } catch (recalcError) {
+        console.error(
+          `❌ Failed to recalculate derived chart for event ID ${event.event_id}:`,
+          recalcError.message
+        );
+      }
+    }
+
     console.log("✨ Chart recalculation process finished successfully.");
   } catch (err) {
     console.error(
@@ -437,6 +1374,43 @@ async function recalculateAllChartsOnStartup() {
   }
 }
 
+// Stored inputs that pin down the place or the moment more precisely than the
+// location string and wall-clock time do.
+const PLACE_OVERRIDE_FIELDS = ["latitude", "longitude", "timezone", "utcOffset", "dstResolution"];
+const MOMENT_OVERRIDE_FIELDS = ["utcOffset", "dstResolution"];
+
+/**
+ * Merges an event update into its stored inputs. Overrides tied to the old
+ * location (coordinates, timezone, UTC offset) or the old date and time (UTC
+ * offset, DST resolution) are dropped when those change, unless the update
+ * sends them again. Sending a zodiac or an ayanamsa replaces both, and a new
+ * frame drops the stored altitude.
+ * @param {object} storedInputs - The event's `meta.inputs`.
+ * @param {object} updatedFields - The request body.
+ * @returns {object} - The inputs to recalculate the chart from.
+ */
+const mergeEventInputs = (storedInputs, updatedFields) => {
+  const changed = (field) =>
+    updatedFields[field] !== undefined &&
+    String(updatedFields[field]) !== String(storedInputs[field]);
+  const stale = new Set();
+  if (changed("location")) PLACE_OVERRIDE_FIELDS.forEach((field) => stale.add(field));
+  if (changed("zodiac") || changed("ayanamsa")) {
+    stale.add("zodiac");
+    stale.add("ayanamsa");
+  }
+  if (changed("frame")) stale.add("altitude");
+  if (["year", "month", "day", "time"].some(changed)) {
+    MOMENT_OVERRIDE_FIELDS.forEach((field) => stale.add(field));
+  }
+
+  const inputs = { ...storedInputs };
+  for (const field of stale) {
+    if (updatedFields[field] === undefined) delete inputs[field];
+  }
+  return { ...inputs, ...updatedFields };
+};
+
 app.put("/api/astro-event/:eventId", async (req, res) => {
   const { authorization } = req.headers;
   const { eventId } = req.params;
@@ -500,11 +1474,41 @@ app.put("/api/astro-event/:eventId", async (req, res) => {
 
     const existingLabel = existingEvent.label;
 
-    const newInputs = { ...existingData.meta.inputs, ...updatedFields };
+    // Derived charts follow their source events; only the label can change.
+    if (existingData.meta?.derived) {
+      const newLabel = updatedFields.label || existingLabel;
+      await conn.query(
+        "UPDATE astro_event_data SET label = ? WHERE event_id = ?",
+        [newLabel, eventId]
+      );
+      existingData.event_id = parseInt(eventId);
+      return res.status(200).json(existingData);
+    }
+
+    const newInputs = mergeEventInputs(existingData.meta.inputs, updatedFields);
     const newLabel = updatedFields.label || existingLabel;
 
-    const { year, month, day, time, location, houseSystem } = newInputs;
-    if (!year || !month || !day || !time || !location) {
+    const { options: chartOptions, error: optionsError } =
+      parseChartOptions(newInputs);
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    const { year, month, day, time, location } = newInputs;
+    // Events saved before house systems were stored were calculated in Placidus.
+    const houseSystem = normalizeHouseSystem(
+      newInputs.houseSystem || DEFAULT_HOUSE_SYSTEM
+    );
+    if (!houseSystem) {
+      return res.status(400).json({ error: HOUSE_SYSTEM_ERROR });
+    }
+    if (
+      !year ||
+      !month ||
+      !day ||
+      !time ||
+      (!location && chartOptions.latitude === undefined)
+    ) {
       return res.status(400).json({
         error: "Update would result in missing date, time, or location.",
       });
@@ -515,7 +1519,9 @@ app.put("/api/astro-event/:eventId", async (req, res) => {
       day,
       time,
       location,
-      houseSystem
+      true,
+      houseSystem,
+      chartOptions
     );
 
     const updateQuery = `
@@ -529,6 +1535,8 @@ app.put("/api/astro-event/:eventId", async (req, res) => {
       eventId,
     ]);
 
+    await refreshDerivedEvents(conn, updatedFields.userId, eventId);
+
     recalculatedChartData.event_id = parseInt(eventId);
     logChartSummary(
       recalculatedChartData,
@@ -536,6 +1544,9 @@ app.put("/api/astro-event/:eventId", async (req, res) => {
     );
     res.status(200).json(recalculatedChartData);
   } catch (err) {
+    if (err instanceof LocalTimeConflictError) {
+      return res.status(err.status).json(err.toJSON());
+    }
     console.error(`PUT /api/astro-event Error:`, err.message);
     res.status(500).json({
       error: "An error occurred while updating the event.",
@@ -546,6 +1557,101 @@ app.put("/api/astro-event/:eventId", async (req, res) => {
   }
 });
 
+// PUT /api/astro-event/:eventId/house-system - Recalculate an event in another house system
+app.put("/api/astro-event/:eventId/house-system", async (req, res) => {
+  const { authorization } = req.headers;
+  const { eventId } = req.params;
+  const { userId } = req.body;
+
+  let conn;
+  try {
+    // === AUTHENTICATION ===
+    if (!authorization) {
+      return res.status(400).json({
+        error: "Missing JWT token in Authorization header."
+      });
+    }
+
+    const verified = await supabase.auth.getUser(authorization);
+    if (!verified?.data?.user) {
+      return res.status(400).json({ error: "Invalid JWT token" });
+    }
+
+    if (verified.data.user.id !== userId) {
+      return res.status(403).json({
+        error: "Forbidden: You can only update your own events.",
+      });
+    }
+
+    // === VALIDATION ===
+    if (!eventId || isNaN(parseInt(eventId))) {
+      return res
+        .status(400)
+        .json({ error: "A valid eventId must be provided." });
+    }
+
+    const houseSystem = normalizeHouseSystem(req.body.houseSystem);
+    if (!houseSystem) {
+      return res.status(400).json({ error: HOUSE_SYSTEM_ERROR });
+    }
+
+    conn = await pool.getConnection();
+    const rows = await conn.query(
+      "SELECT event_data, label FROM astro_event_data WHERE user_id = ? AND event_id = ?",
+      [userId, eventId]
+    );
+    if (rows.length === 0) {
+      return res
+        .status(404)
+        .json({ error: `Event with ID ${eventId} not found for this user.` });
+    }
+
+    const existingData =
+      typeof rows[0].event_data === "string"
+        ? JSON.parse(rows[0].event_data)
+        : rows[0].event_data;
+    if (existingData.meta?.derived) {
+      return res.status(400).json({
+        error: "Derived charts follow their source events; change those instead.",
+      });
+    }
+    const inputs = existingData.meta?.inputs || {};
+
+    // === RECALCULATE ===
+    const chartData = await calculateChart(
+      inputs.year,
+      inputs.month,
+      inputs.day,
+      inputs.time,
+      inputs.location,
+      true,
+      houseSystem,
+      parseChartOptions(inputs).options
+    );
+
+    await conn.query(
+      "UPDATE astro_event_data SET event_data = ? WHERE event_id = ?",
+      [JSON.stringify(chartData), eventId]
+    );
+    await refreshDerivedEvents(conn, userId, eventId);
+
+    chartData.event_id = parseInt(eventId);
+    logChartSummary(
+      chartData,
+      `Chart Recalculated in ${HOUSE_SYSTEMS[houseSystem]} for "${rows[0].label}"`
+    );
+    res.json(chartData);
+  } catch (err) {
+    if (err instanceof LocalTimeConflictError) {
+      return res.status(err.status).json(err.toJSON());
+    }
+    console.error("PUT /api/astro-event/:eventId/house-system Error:", err.message);
+    res.status(500).json({ error: err.message || "Internal server error" });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
 app.delete("/api/astro-event/:eventId", async (req, res) => {
   const { authorization } = req.headers;
   const { eventId } = req.params;
@@ -565,13 +1671,8 @@ app.delete("/api/astro-event/:eventId", async (req, res) => {
     });
   }
 
-  // Security check: ensure the requesting user is the one they're asking for data about
-  if (verified.data.user.id !== userId) {
-    return res.status(403).json({
-      success: false,
-      message: "Forbidden: You can only request your own data.",
-    });
-  }
+  // Security check: users can only delete their own events
+  const userId = verified.data.user.id;
   try {
     // --- Validation ---
     if (!eventId || isNaN(parseInt(eventId))) {
@@ -584,9 +1685,9 @@ app.delete("/api/astro-event/:eventId", async (req, res) => {
     conn = await pool.getConnection();
     const deleteQuery = `
       DELETE FROM astro_event_data 
-      WHERE event_id = ?;
+      WHERE event_id = ? AND user_id = ?;
     `;
-    const result = await conn.query(deleteQuery, [eventId]);
+    const result = await conn.query(deleteQuery, [eventId, userId]);
 
     // Check if a row was deleted
     if (result.affectedRows === 0) {
@@ -595,10 +1696,34 @@ app.delete("/api/astro-event/:eventId", async (req, res) => {
         .json({ error: `Event with ID ${eventId} not found.` });
     }
 
+    // Derived events (composites, Davison charts, returns) can't be rebuilt
+    // without their sources, so they go too, along with anything derived from them.
+    const deletedDerivedEventIds = [];
+    const pending = [parseInt(eventId)];
+    while (pending.length > 0) {
+      const sourceEventId = pending.shift();
+      const dependents = await conn.query(
+        `SELECT event_id FROM astro_event_data
+         WHERE user_id = ?
+           AND JSON_CONTAINS(JSON_EXTRACT(event_data, '$.meta.derived.sourceEventIds'), ?)`,
+        [userId, String(sourceEventId)]
+      );
+      for (const dependent of dependents) {
+        const dependentId = Number(dependent.event_id);
+        await conn.query(
+          "DELETE FROM astro_event_data WHERE event_id = ? AND user_id = ?",
+          [dependentId, userId]
+        );
+        deletedDerivedEventIds.push(dependentId);
+        pending.push(dependentId);
+      }
+    }
+
     // --- Send Success Response ---
-    res
-      .status(200)
-      .json({ message: `Event with ID ${eventId} was deleted successfully.` });
+    res.status(200).json({
+      message: `Event with ID ${eventId} was deleted successfully.`,
+      deletedDerivedEventIds,
+    });
   } catch (err) {
     console.error("Delete Event Error:", err.message);
     res.status(500).json({
@@ -666,6 +1791,14 @@ app.get("/api/events/:userId", async (req, res) => {
         parsedData = row.event_data;
       }
 
+      // Events saved before the analysis layer existed get it on the fly.
+      if (parsedData?.positions && !parsedData.analysis) {
+        parsedData.analysis = analyzeChart(parsedData);
+      }
+      if (parsedData?.aspects && !parsedData.patterns) {
+        parsedData.patterns = detectAspectPatterns(parsedData);
+      }
+
       return {
         ...row,
         event_data: parsedData,
@@ -721,18 +1854,52 @@ app.post("/api/natal-chart", async (req, res) => {
       });
     }
 
-    if (!userId || !label || !year || !month || !day || !time || !location) {
+    const { options: chartOptions, error: optionsError } = parseChartOptions(
+      req.body
+    );
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    const hasCoordinates = chartOptions.latitude !== undefined;
+    if (
+      !userId ||
+      !label ||
+      !year ||
+      !month ||
+      !day ||
+      !time ||
+      (!location && !hasCoordinates)
+    ) {
       return res.status(400).json({ error: "Missing required fields." });
     }
 
+    conn = await pool.getConnection();
+    const { houseSystem, error: houseSystemError } = await resolveHouseSystem(
+      conn,
+      userId,
+      req.body.houseSystem
+    );
+    if (houseSystemError) {
+      return res.status(400).json({ error: houseSystemError });
+    }
+
     // Use the reusable helper to get all chart data
-    const chartData = await calculateChart(year, month, day, time, location);
+    const chartData = await calculateChart(
+      year,
+      month,
+      day,
+      time,
+      location,
+      true,
+      houseSystem,
+      chartOptions
+    );
 
     // ✅ ADDED: Human-readable log of the created chart
     logChartSummary(chartData, `Natal Chart Created for "${label}"`);
 
     // --- Save to Database ---
-    conn = await pool.getConnection();
     const insertQuery = `
       INSERT INTO astro_event_data (user_id, label, event_data) 
       VALUES (?, ?, ?);
@@ -747,6 +1914,9 @@ app.post("/api/natal-chart", async (req, res) => {
 
     res.status(201).json(chartData);
   } catch (err) {
+    if (err instanceof LocalTimeConflictError) {
+      return res.status(err.status).json(err.toJSON());
+    }
     console.error("POST /api/natal-chart Error:", err.message);
     res.status(500).json({
       error: "An error occurred while creating the natal chart.",
@@ -766,8 +1936,8 @@ app.post("/api/query", async (req, res) => {
     transitTimestamp,
     progressed,
     progressedEventIds,
-    progressedTimezones,
-    houseSystem = "P",
+    zodiac,
+    ayanamsa,
   } = req.body;
 
   let conn;
@@ -806,6 +1976,34 @@ app.post("/api/query", async (req, res) => {
       });
     }
 
+    const { options: zodiacOptions, error: optionsError } = parseChartOptions({
+      zodiac,
+      ayanamsa,
+    });
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    const { options: progressionOptions, error: progressionError } =
+      parseProgressionOptions({
+        targetDate: req.body.progressionDate,
+        angleMethod: req.body.angleMethod,
+        converse: req.body.converse,
+      });
+    if (progressionError) {
+      return res.status(400).json({ error: progressionError });
+    }
+
+    conn = await pool.getConnection();
+    const { houseSystem, error: houseSystemError } = await resolveHouseSystem(
+      conn,
+      userId,
+      req.body.houseSystem
+    );
+    if (houseSystemError) {
+      return res.status(400).json({ error: houseSystemError });
+    }
+
     let finalChartDataString = chartData;
     let additionalContext = "";
 
@@ -817,48 +2015,10 @@ app.post("/api/query", async (req, res) => {
       try {
         let charts = JSON.parse(chartData);
         if (!Array.isArray(charts)) charts = [charts];
-        const updatedCharts = await Promise.all(
-          charts.map(async (chart) => {
-            if (progressedEventIds.includes(chart.event_id)) {
-              const birthDate = DateTime.fromISO(chart.event_data.meta.date);
-              const natalLocation = chart.event_data.meta.location;
-              const customTimezone = progressedTimezones[chart.event_id];
-              if (birthDate.isValid && natalLocation) {
-                const ageInYears = DateTime.now().diff(
-                  birthDate,
-                  "years"
-                ).years;
-                const progressedDate = birthDate.plus({ days: ageInYears });
-
-                let locationForCalc = natalLocation;
-                if (customTimezone) {
-                  // ✅ CORRECTED: Use cityTimezones.cityMapping.find()
-                  const cityData = cityTimezones.cityMapping.find(
-                    (c) => c.timezone === customTimezone
-                  );
-                  if (cityData) {
-                    locationForCalc = `${cityData.city}, ${cityData.country}`;
-                  }
-                }
-
-                const progressedChartData = await calculateChart(
-                  progressedDate.year,
-                  progressedDate.month,
-                  progressedDate.day,
-                  progressedDate.toFormat("HH:mm:ss"),
-                  locationForCalc,
-                  false,
-                  houseSystem
-                );
-                logChartSummary(
-                  progressedChartData,
-                  `Progressed Chart for Event ID ${chart.event_id}`
-                );
-                chart.progressedChart = progressedChartData;
-              }
-            }
-            return chart;
-          })
+        const updatedCharts = addProgressions(
+          charts,
+          progressedEventIds,
+          progressionOptions
         );
         finalChartDataString = JSON.stringify(updatedCharts, null, 2);
       } catch (e) {
@@ -887,7 +2047,10 @@ app.post("/api/query", async (req, res) => {
             transitDate.toFormat("HH:mm:ss"),
             transitLocation,
             false,
-            houseSystem
+            houseSystem,
+            // The timestamp is already an absolute moment; its offset stops the
+            // wall time from being resolved again (and failing in a DST overlap).
+            { ...zodiacOptions, utcOffset: transitDate.offset / 60 }
           );
           logChartSummary(
             transitChart,
@@ -902,7 +2065,6 @@ app.post("/api/query", async (req, res) => {
       }
     }
 
-    conn = await pool.getConnection();
     const checkQuery = `SELECT queries_today, last_query_timestamp FROM user_query_stats WHERE user_id = ?`;
     const queryResult = await conn.query(checkQuery, [userId]);
     const userStats = queryResult
@@ -927,6 +2089,7 @@ app.post("/api/query", async (req, res) => {
     const prompt = `
       You are an expert astrologer with deep knowledge of various astrological techniques including natal charts, synastry, composite charts, progressed charts, astrocartography, and zodiacal releasing.
       Analyze the following astrological data and answer the user's question based on it. Provide a thoughtful, detailed, and insightful interpretation without unnecessary flattery.
+      Each chart's "analysis" block holds the calculated essential dignities, sect, chart and house rulers, dispositors, mutual receptions, and element/modality balance. Its "patterns" list holds the detected aspect patterns (grand trines, T-squares, yods, kites, stelliums, and so on). Each position also carries its declination, with "outOfBounds" set when it lies beyond the Sun's greatest declination, and the "declinationAspects" list holds parallels and contraparallels. "meta.frame" says whether positions are geocentric, topocentric, or heliocentric; heliocentric charts have Earth in place of the Sun and no Moon, nodes, or houses. When present, "fixedStars" holds fixed star conjunctions and star-planet parans at the birth latitude. Cite these rather than working them out yourself.
       **Astrological Data:**
       ---
       ${finalChartDataString}
@@ -971,21 +2134,1416 @@ app.post("/api/query", async (req, res) => {
       await conn.query(insertQuery, [userId]);
     }
 
-    res.json({ response: text });
+    res.json({ response: text });
+  } catch (err) {
+    console.error("Server Error:", err);
+    res
+      .status(500)
+      .json({ error: err.message || "An unknown server error occurred." });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// 6. Ephemeris endpoint - Get planet positions for any date
+app.post("/api/ephemeris", async (req, res) => {
+  const { authorization } = req.headers;
+  const { userId, year, month, day, time, location } = req.body;
+
+  let conn;
+  try {
+    // === AUTHENTICATION ===
+    if (!authorization) {
+      return res.status(400).json({
+        error: "Missing JWT token in Authorization header."
+      });
+    }
+
+    const verified = await supabase.auth.getUser(authorization);
+    if (!verified?.data?.user) {
+      return res.status(400).json({ error: "Invalid JWT token" });
+    }
+
+    if (verified.data.user.id !== userId) {
+      return res.status(403).json({
+        error: "Forbidden: You can only request your own data.",
+      });
+    }
+
+    const { options: chartOptions, error: optionsError } = parseChartOptions(
+      req.body
+    );
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    conn = await pool.getConnection();
+    const { houseSystem, error: houseSystemError } = await resolveHouseSystem(
+      conn,
+      userId,
+      req.body.houseSystem
+    );
+    if (houseSystemError) {
+      return res.status(400).json({ error: houseSystemError });
+    }
+
+    // === CALCULATE EPHEMERIS ===
+    const chartData = await calculateChart(
+      year,
+      month,
+      day,
+      time,
+      location,
+      true, // Include houses
+      houseSystem,
+      chartOptions
+    );
+
+    // Return lightweight response (no saving to DB)
+    res.json(chartData);
+
+  } catch (err) {
+    if (err instanceof LocalTimeConflictError) {
+      return res.status(err.status).json(err.toJSON());
+    }
+    console.error("Ephemeris endpoint error:", err.message);
+    res.status(500).json({ error: err.message || "Internal server error" });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// POST /api/ephemeris-range - Ephemeris table across a date range, as JSON or streamed CSV
+app.post("/api/ephemeris-range", async (req, res) => {
+  const { authorization } = req.headers;
+  const {
+    userId,
+    startDate,
+    endDate,
+    step = 1,
+    stepUnit = "days",
+    bodies = Object.keys(STANDARD_BODIES),
+    format = "json",
+    location,
+  } = req.body;
+
+  let conn;
+  try {
+    // === AUTHENTICATION ===
+    if (!authorization) {
+      return res.status(400).json({
+        error: "Missing JWT token in Authorization header."
+      });
+    }
+
+    const verified = await supabase.auth.getUser(authorization);
+    if (!verified?.data?.user) {
+      return res.status(400).json({ error: "Invalid JWT token" });
+    }
+
+    if (verified.data.user.id !== userId) {
+      return res.status(403).json({
+        error: "Forbidden: You can only request your own data.",
+      });
+    }
+
+    // === VALIDATION ===
+    const start = DateTime.fromISO(startDate || "", { zone: "utc" });
+    const end = DateTime.fromISO(endDate || "", { zone: "utc" });
+    if (!start.isValid || !end.isValid || end <= start) {
+      return res.status(400).json({
+        error: "startDate and endDate must be ISO dates with endDate after startDate.",
+      });
+    }
+    if (end.diff(start, "years").years > MAX_EPHEMERIS_RANGE_YEARS) {
+      return res.status(400).json({
+        error: `The date range cannot exceed ${MAX_EPHEMERIS_RANGE_YEARS} years.`,
+      });
+    }
+    if (!STEP_UNITS.includes(stepUnit)) {
+      return res.status(400).json({
+        error: `stepUnit must be one of: ${STEP_UNITS.join(", ")}.`,
+      });
+    }
+    const stepSize = Number(step);
+    if (!Number.isInteger(stepSize) || stepSize < 1) {
+      return res.status(400).json({ error: "step must be a whole number of at least 1." });
+    }
+    if (
+      !Array.isArray(bodies) ||
+      bodies.length === 0 ||
+      bodies.some((name) => EPHEMERIS_BODIES[name] === undefined)
+    ) {
+      return res.status(400).json({
+        error: `bodies must be a list of: ${Object.keys(EPHEMERIS_BODIES).join(", ")}.`,
+      });
+    }
+    if (!["json", "csv"].includes(format)) {
+      return res.status(400).json({ error: 'format must be "json" or "csv".' });
+    }
+
+    const steps = listSteps(start, end, stepSize, stepUnit, MAX_EPHEMERIS_ROWS);
+    if (steps.length > MAX_EPHEMERIS_ROWS) {
+      return res.status(400).json({
+        error: `The table would have more than ${MAX_EPHEMERIS_ROWS} rows. Use a larger step or a shorter range.`,
+      });
+    }
+
+    const { options: chartOptions, error: optionsError } = parseChartOptions({
+      zodiac: req.body.zodiac,
+      ayanamsa: req.body.ayanamsa,
+      latitude: req.body.latitude,
+      longitude: req.body.longitude,
+    });
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    // === RESOLVE THE OPTIONAL PLACE (once, not per step) ===
+    let place = null;
+    if (typeof chartOptions.latitude === "number" || location) {
+      conn = await pool.getConnection();
+      const { houseSystem, error: houseSystemError } = await resolveHouseSystem(
+        conn,
+        userId,
+        req.body.houseSystem
+      );
+      if (houseSystemError) {
+        return res.status(400).json({ error: houseSystemError });
+      }
+      const resolved =
+        typeof chartOptions.latitude === "number"
+          ? {
+              latitude: chartOptions.latitude,
+              longitude: chartOptions.longitude,
+              formattedLocation:
+                location || `${chartOptions.latitude}, ${chartOptions.longitude}`,
+            }
+          : await resolveChartLocation(location, start);
+      place = {
+        location: resolved.formattedLocation,
+        latitude: resolved.latitude,
+        longitude: resolved.longitude,
+        houseSystem,
+      };
+    }
+
+    // === CALCULATE TABLE ===
+    const zodiac = chartOptions.zodiac || "tropical";
+    const ayanamsa =
+      zodiac === "sidereal" ? chartOptions.ayanamsa || DEFAULT_AYANAMSA : undefined;
+    const { rows, ingresses } = calculateEphemerisTable({
+      steps,
+      bodies,
+      flags: applyZodiac(zodiac, ayanamsa),
+      place,
+    });
+
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", 'attachment; filename="ephemeris.csv"');
+      res.write(`${ephemerisCsvHeader(bodies, Boolean(place))}\n`);
+      for (const row of rows) {
+        res.write(`${ephemerisCsvLine(row, bodies)}\n`);
+      }
+      sweph.swe_close();
+      return res.end();
+    }
+
+    const table = [...rows];
+    sweph.swe_close();
+    res.json({
+      startDate: start.toISO(),
+      endDate: end.toISO(),
+      step: stepSize,
+      stepUnit,
+      bodies,
+      zodiac: describeZodiac(toJulianDay(start), zodiac, ayanamsa),
+      place,
+      ingresses,
+      rows: table,
+    });
+  } catch (err) {
+    console.error("Ephemeris range endpoint error:", err.message);
+    // A failure mid-stream can only cut the CSV short.
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: err.message || "Internal server error" });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// GET /api/aspect-profiles - List the aspect profiles a chart can be calculated with
+app.get("/api/aspect-profiles", (req, res) => {
+  res.json({
+    defaultProfile: DEFAULT_ASPECT_PROFILE,
+    profiles: Object.entries(ASPECT_PROFILES).map(([name, profile]) => ({
+      name,
+      ...profile,
+    })),
+  });
+});
+
+// GET /api/house-systems - List the house systems a chart can be calculated with
+app.get("/api/house-systems", (req, res) => {
+  res.json({
+    defaultSystem: DEFAULT_HOUSE_SYSTEM,
+    systems: Object.entries(HOUSE_SYSTEMS).map(([code, name]) => ({
+      code,
+      name,
+    })),
+  });
+});
+
+// POST /api/chart-analysis - Dignities, sect, rulers, and balance for a stored event or new chart data
+app.post("/api/chart-analysis", async (req, res) => {
+  const { authorization } = req.headers;
+  const { userId, eventId, year, month, day, time, location } = req.body;
+
+  let conn;
+  try {
+    // === AUTHENTICATION ===
+    if (!authorization) {
+      return res.status(400).json({
+        error: "Missing JWT token in Authorization header."
+      });
+    }
+
+    const verified = await supabase.auth.getUser(authorization);
+    if (!verified?.data?.user) {
+      return res.status(400).json({ error: "Invalid JWT token" });
+    }
+
+    if (verified.data.user.id !== userId) {
+      return res.status(403).json({
+        error: "Forbidden: You can only request your own data.",
+      });
+    }
+
+    conn = await pool.getConnection();
+    let chartData;
+
+    if (eventId !== undefined && eventId !== null) {
+      // === STORED EVENT ===
+      const rows = await conn.query(
+        "SELECT event_data FROM astro_event_data WHERE user_id = ? AND event_id = ?",
+        [userId, eventId]
+      );
+      if (rows.length === 0) {
+        return res
+          .status(404)
+          .json({ error: `Event with ID ${eventId} not found for this user.` });
+      }
+      chartData =
+        typeof rows[0].event_data === "string"
+          ? JSON.parse(rows[0].event_data)
+          : rows[0].event_data;
+    } else {
+      // === NEW CHART DATA ===
+      const { options: chartOptions, error: optionsError } = parseChartOptions(
+        req.body
+      );
+      if (optionsError) {
+        return res.status(400).json({ error: optionsError });
+      }
+      if (
+        !year ||
+        !month ||
+        !day ||
+        !time ||
+        (!location && chartOptions.latitude === undefined)
+      ) {
+        return res.status(400).json({
+          error: "Provide an eventId, or year, month, day, time, and location.",
+        });
+      }
+
+      const { houseSystem, error: houseSystemError } = await resolveHouseSystem(
+        conn,
+        userId,
+        req.body.houseSystem
+      );
+      if (houseSystemError) {
+        return res.status(400).json({ error: houseSystemError });
+      }
+
+      chartData = await calculateChart(
+        year,
+        month,
+        day,
+        time,
+        location,
+        true,
+        houseSystem,
+        chartOptions
+      );
+    }
+
+    res.json({
+      eventId: eventId ?? null,
+      meta: chartData.meta,
+      analysis: analyzeChart(chartData),
+    });
+  } catch (err) {
+    if (err instanceof LocalTimeConflictError) {
+      return res.status(err.status).json(err.toJSON());
+    }
+    console.error("Chart analysis endpoint error:", err.message);
+    res.status(500).json({ error: err.message || "Internal server error" });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// POST /api/synastry - Compare two of the user's stored events
+app.post("/api/synastry", async (req, res) => {
+  const { authorization } = req.headers;
+  const { userId, eventIds, aspectProfile, orbs } = req.body;
+
+  let conn;
+  try {
+    // === AUTHENTICATION ===
+    if (!authorization) {
+      return res.status(400).json({
+        error: "Missing JWT token in Authorization header."
+      });
+    }
+
+    const verified = await supabase.auth.getUser(authorization);
+    if (!verified?.data?.user) {
+      return res.status(400).json({ error: "Invalid JWT token" });
+    }
+
+    if (verified.data.user.id !== userId) {
+      return res.status(403).json({
+        error: "Forbidden: You can only request your own data.",
+      });
+    }
+
+    // === VALIDATION ===
+    if (
+      !Array.isArray(eventIds) ||
+      eventIds.length !== 2 ||
+      eventIds.some((id) => isNaN(parseInt(id))) ||
+      parseInt(eventIds[0]) === parseInt(eventIds[1])
+    ) {
+      return res.status(400).json({
+        error: "eventIds must be an array of two different event IDs.",
+      });
+    }
+
+    let profile;
+    try {
+      profile = withOrbOverrides(aspectProfile || DEFAULT_ASPECT_PROFILE, orbs);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    // === LOAD EVENTS ===
+    conn = await pool.getConnection();
+    const { events, missing } = await loadUserEvents(conn, userId, eventIds);
+    if (missing.length > 0) {
+      return res.status(404).json({
+        error: `Event(s) ${missing.join(", ")} not found for this user.`,
+      });
+    }
+    const [first, second] = events;
+
+    res.json({
+      events: [first, second].map(({ eventId, label }) => ({ eventId, label })),
+      aspectProfile: aspectProfile || DEFAULT_ASPECT_PROFILE,
+      orbs: profile.orbs,
+      ...calculateSynastry(first.chart, second.chart, profile),
+    });
+  } catch (err) {
+    console.error("Synastry endpoint error:", err.message);
+    res.status(500).json({ error: err.message || "Internal server error" });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+/**
+ * Handles POST /api/composite and POST /api/davison: builds a relationship
+ * chart from two of the user's events and, with `save: true`, stores it as a
+ * derived event that is rebuilt whenever either source event changes.
+ * @param {"composite"|"davison"} type - The kind of relationship chart.
+ */
+const relationshipChartHandler = (type) => async (req, res) => {
+  const { authorization } = req.headers;
+  const { userId, eventIds, save = false, label } = req.body;
+
+  let conn;
+  try {
+    // === AUTHENTICATION ===
+    if (!authorization) {
+      return res.status(400).json({
+        error: "Missing JWT token in Authorization header."
+      });
+    }
+
+    const verified = await supabase.auth.getUser(authorization);
+    if (!verified?.data?.user) {
+      return res.status(400).json({ error: "Invalid JWT token" });
+    }
+
+    if (verified.data.user.id !== userId) {
+      return res.status(403).json({
+        error: "Forbidden: You can only request your own data.",
+      });
+    }
+
+    // === VALIDATION ===
+    if (
+      !Array.isArray(eventIds) ||
+      eventIds.length !== 2 ||
+      eventIds.some((id) => isNaN(parseInt(id))) ||
+      parseInt(eventIds[0]) === parseInt(eventIds[1])
+    ) {
+      return res.status(400).json({
+        error: "eventIds must be an array of two different event IDs.",
+      });
+    }
+
+    const midpointConvention = req.body.midpoint || "near";
+    if (type === "composite" && !MIDPOINT_CONVENTIONS.includes(midpointConvention)) {
+      return res.status(400).json({
+        error: `midpoint must be one of: ${MIDPOINT_CONVENTIONS.join(", ")}.`,
+      });
+    }
+
+    conn = await pool.getConnection();
+    const { events, missing } = await loadUserEvents(conn, userId, eventIds);
+    if (missing.length > 0) {
+      return res.status(404).json({
+        error: `Event(s) ${missing.join(", ")} not found for this user.`,
+      });
+    }
+    const [first, second] = events;
+    if (first.chart.meta?.derived || second.chart.meta?.derived) {
+      return res.status(400).json({
+        error: "Relationship charts can only be built from non-derived events.",
+      });
+    }
+
+    // Options not given in the request follow the first event.
+    const firstInputs = first.chart.meta?.inputs || {};
+    const { options: chartOptions, error: optionsError } = parseChartOptions({
+      // The zodiac and ayanamsa go together: both from the request, or both stored.
+      ...(req.body.zodiac === undefined && req.body.ayanamsa === undefined
+        ? { zodiac: firstInputs.zodiac, ayanamsa: firstInputs.ayanamsa }
+        : { zodiac: req.body.zodiac, ayanamsa: req.body.ayanamsa }),
+      aspectProfile: req.body.aspectProfile ?? firstInputs.aspectProfile,
+      bodies: req.body.bodies ?? firstInputs.bodies,
+    });
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    const derived = {
+      type,
+      sourceEventIds: [first.eventId, second.eventId],
+      options: chartOptions,
+    };
+    if (type === "composite") {
+      const mismatch = getZodiacMismatch(first.chart, second.chart);
+      if (mismatch) {
+        return res.status(400).json({ error: mismatch });
+      }
+      derived.midpoint = midpointConvention;
+    } else {
+      const { houseSystem, error: houseSystemError } = await resolveHouseSystem(
+        conn,
+        userId,
+        req.body.houseSystem
+      );
+      if (houseSystemError) {
+        return res.status(400).json({ error: houseSystemError });
+      }
+      derived.houseSystem = houseSystem;
+    }
+
+    // === CALCULATE ===
+    const chartData = await calculateDerivedChart(derived, [
+      first.chart,
+      second.chart,
+    ]);
+
+    if (save) {
+      const eventLabel =
+        label ||
+        `${first.label} & ${second.label} (${type === "composite" ? "Composite" : "Davison"})`;
+      const dbResult = await conn.query(
+        "INSERT INTO astro_event_data (user_id, label, event_data) VALUES (?, ?, ?)",
+        [userId, eventLabel, JSON.stringify(chartData)]
+      );
+      chartData.event_id = Number(dbResult.insertId);
+      logChartSummary(chartData, `${type} chart saved as "${eventLabel}"`);
+    }
+
+    res.status(save ? 201 : 200).json(chartData);
+  } catch (err) {
+    console.error(`${type} chart endpoint error:`, err.message);
+    res.status(500).json({ error: err.message || "Internal server error" });
+  } finally {
+    if (conn) conn.release();
+  }
+};
+
+// POST /api/composite - Midpoint composite chart of two events
+app.post("/api/composite", relationshipChartHandler("composite"));
+
+// POST /api/davison - Davison chart (time/space midpoint) of two events
+app.post("/api/davison", relationshipChartHandler("davison"));
+
+// POST /api/progressions - Secondary progressions and solar arc directions for a stored event
+app.post("/api/progressions", async (req, res) => {
+  const { authorization } = req.headers;
+  const { userId, eventId } = req.body;
+
+  let conn;
+  try {
+    // === AUTHENTICATION ===
+    if (!authorization) {
+      return res.status(400).json({
+        error: "Missing JWT token in Authorization header."
+      });
+    }
+
+    const verified = await supabase.auth.getUser(authorization);
+    if (!verified?.data?.user) {
+      return res.status(400).json({ error: "Invalid JWT token" });
+    }
+
+    if (verified.data.user.id !== userId) {
+      return res.status(403).json({
+        error: "Forbidden: You can only request your own data.",
+      });
+    }
+
+    // === VALIDATION ===
+    if (eventId === undefined || isNaN(parseInt(eventId))) {
+      return res.status(400).json({ error: "A valid eventId must be provided." });
+    }
+
+    const { options: progressionOptions, error: progressionError } =
+      parseProgressionOptions(req.body);
+    if (progressionError) {
+      return res.status(400).json({ error: progressionError });
+    }
+
+    conn = await pool.getConnection();
+    const { events, missing } = await loadUserEvents(conn, userId, [eventId]);
+    if (missing.length > 0) {
+      return res
+        .status(404)
+        .json({ error: `Event with ID ${eventId} not found for this user.` });
+    }
+
+    // === CALCULATE PROGRESSIONS ===
+    const progressions = calculateProgressions(
+      events[0].chart,
+      progressionOptions
+    );
+    sweph.swe_close();
+
+    res.json({ eventId: events[0].eventId, label: events[0].label, ...progressions });
+  } catch (err) {
+    console.error("Progressions endpoint error:", err.message);
+    res.status(500).json({ error: err.message || "Internal server error" });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// POST /api/returns - Solar or lunar return chart for a stored event
+app.post("/api/returns", async (req, res) => {
+  const { authorization } = req.headers;
+  const { userId, eventId, type, save = false, label } = req.body;
+
+  let conn;
+  try {
+    // === AUTHENTICATION ===
+    if (!authorization) {
+      return res.status(400).json({
+        error: "Missing JWT token in Authorization header."
+      });
+    }
+
+    const verified = await supabase.auth.getUser(authorization);
+    if (!verified?.data?.user) {
+      return res.status(400).json({ error: "Invalid JWT token" });
+    }
+
+    if (verified.data.user.id !== userId) {
+      return res.status(403).json({
+        error: "Forbidden: You can only request your own data.",
+      });
+    }
+
+    // === VALIDATION ===
+    if (eventId === undefined || isNaN(parseInt(eventId))) {
+      return res.status(400).json({ error: "A valid eventId must be provided." });
+    }
+    if (!RETURN_TYPES[type]) {
+      return res.status(400).json({
+        error: `type must be one of: ${Object.keys(RETURN_TYPES).join(", ")}.`,
+      });
+    }
+    const year = Number(req.body.year);
+    const month = req.body.month === undefined ? undefined : Number(req.body.month);
+    if (!Number.isInteger(year) || year < 1000 || year > 3000) {
+      return res.status(400).json({ error: "year must be a whole year between 1000 and 3000." });
+    }
+    if (
+      (type === "lunar" || month !== undefined) &&
+      !(Number.isInteger(month) && month >= 1 && month <= 12)
+    ) {
+      return res.status(400).json({
+        error: "month must be from 1 to 12 (it is required for lunar returns).",
+      });
+    }
+
+    const { options: placeOptions, error: placeError } = parseChartOptions({
+      latitude: req.body.latitude,
+      longitude: req.body.longitude,
+    });
+    if (placeError) {
+      return res.status(400).json({ error: placeError });
+    }
+
+    conn = await pool.getConnection();
+    const { events, missing } = await loadUserEvents(conn, userId, [eventId]);
+    if (missing.length > 0) {
+      return res
+        .status(404)
+        .json({ error: `Event with ID ${eventId} not found for this user.` });
+    }
+    const [natal] = events;
+    if (natal.chart.meta?.derived) {
+      return res.status(400).json({
+        error: "Returns can only be calculated for non-derived events.",
+      });
+    }
+
+    // Options not given in the request follow the natal chart.
+    const natalInputs = natal.chart.meta?.inputs || {};
+    const { options: chartOptions, error: optionsError } = parseChartOptions({
+      // The zodiac and ayanamsa go together: both from the request, or both stored.
+      ...(req.body.zodiac === undefined && req.body.ayanamsa === undefined
+        ? { zodiac: natalInputs.zodiac, ayanamsa: natalInputs.ayanamsa }
+        : { zodiac: req.body.zodiac, ayanamsa: req.body.ayanamsa }),
+      aspectProfile: req.body.aspectProfile ?? natalInputs.aspectProfile,
+      bodies: req.body.bodies ?? natalInputs.bodies,
+    });
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+    const houseSystem = normalizeHouseSystem(
+      req.body.houseSystem || natalInputs.houseSystem || DEFAULT_HOUSE_SYSTEM
+    );
+    if (!houseSystem) {
+      return res.status(400).json({ error: HOUSE_SYSTEM_ERROR });
+    }
+
+    const derived = {
+      type: "return",
+      returnType: type,
+      sourceEventIds: [natal.eventId],
+      year,
+      ...(type === "lunar" || month !== undefined ? { month } : {}),
+      ...(req.body.location ? { location: req.body.location } : {}),
+      ...placeOptions,
+      houseSystem,
+      options: chartOptions,
+    };
+
+    // === CALCULATE ===
+    const chartData = await calculateDerivedChart(derived, [natal.chart]);
+
+    if (save) {
+      const period =
+        type === "lunar" ? `${year}-${String(month).padStart(2, "0")}` : `${year}`;
+      const eventLabel =
+        label || `${natal.label} ${type === "solar" ? "Solar" : "Lunar"} Return ${period}`;
+      const dbResult = await conn.query(
+        "INSERT INTO astro_event_data (user_id, label, event_data) VALUES (?, ?, ?)",
+        [userId, eventLabel, JSON.stringify(chartData)]
+      );
+      chartData.event_id = Number(dbResult.insertId);
+      logChartSummary(chartData, `Return chart saved as "${eventLabel}"`);
+    }
+
+    res.status(save ? 201 : 200).json(chartData);
+  } catch (err) {
+    if (err instanceof LocalTimeConflictError) {
+      return res.status(err.status).json(err.toJSON());
+    }
+    console.error("Returns endpoint error:", err.message);
+    res.status(500).json({ error: err.message || "Internal server error" });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// POST /api/transit-hits - Exact transits to a stored event's natal points across a date range
+app.post("/api/transit-hits", async (req, res) => {
+  const { authorization } = req.headers;
+  const { userId, eventId, startDate, endDate } = req.body;
+
+  let conn;
+  try {
+    // === AUTHENTICATION ===
+    if (!authorization) {
+      return res.status(400).json({
+        error: "Missing JWT token in Authorization header."
+      });
+    }
+
+    const verified = await supabase.auth.getUser(authorization);
+    if (!verified?.data?.user) {
+      return res.status(400).json({ error: "Invalid JWT token" });
+    }
+
+    if (verified.data.user.id !== userId) {
+      return res.status(403).json({
+        error: "Forbidden: You can only request your own data.",
+      });
+    }
+
+    // === VALIDATION ===
+    if (eventId === undefined || isNaN(parseInt(eventId))) {
+      return res.status(400).json({ error: "A valid eventId must be provided." });
+    }
+
+    const start = DateTime.fromISO(startDate || "", { zone: "utc" });
+    const end = DateTime.fromISO(endDate || "", { zone: "utc" });
+    if (!start.isValid || !end.isValid || end <= start) {
+      return res.status(400).json({
+        error: "startDate and endDate must be ISO dates with endDate after startDate.",
+      });
+    }
+    if (end.diff(start, "years").years > MAX_TRANSIT_RANGE_YEARS) {
+      return res.status(400).json({
+        error: `The date range cannot exceed ${MAX_TRANSIT_RANGE_YEARS} years.`,
+      });
+    }
+
+    conn = await pool.getConnection();
+    const { events, missing } = await loadUserEvents(conn, userId, [eventId]);
+    if (missing.length > 0) {
+      return res
+        .status(404)
+        .json({ error: `Event with ID ${eventId} not found for this user.` });
+    }
+
+    const { options: transitOptions, error: transitError } =
+      parseTransitHitOptions(
+        {
+          bodies: req.body.bodies,
+          natalPoints: req.body.natalPoints,
+          aspects: req.body.aspects,
+          orb: req.body.orb,
+        },
+        events[0].chart
+      );
+    if (transitError) {
+      return res.status(400).json({ error: transitError });
+    }
+    if (
+      transitOptions.bodies?.includes("Moon") &&
+      end.diff(start, "days").days > MAX_MOON_TRANSIT_RANGE_DAYS
+    ) {
+      return res.status(400).json({
+        error: `Searches that include the Moon cannot exceed ${MAX_MOON_TRANSIT_RANGE_DAYS} days.`,
+      });
+    }
+
+    // === FIND TRANSIT HITS ===
+    const hits = findTransitHits(events[0].chart, toJulianDay(start), toJulianDay(end), {
+      ...transitOptions,
+      limit: MAX_TRANSIT_HITS,
+    });
+    sweph.swe_close();
+    if (hits.length > MAX_TRANSIT_HITS) {
+      return res.status(400).json({
+        error: `The search found more than ${MAX_TRANSIT_HITS} transits. Use a shorter range or fewer bodies, points, or aspects.`,
+      });
+    }
+
+    res.json({
+      eventId: events[0].eventId,
+      label: events[0].label,
+      startDate: start.toISO(),
+      endDate: end.toISO(),
+      orb: transitOptions.orb ?? DEFAULT_TRANSIT_ORB,
+      hits,
+    });
+  } catch (err) {
+    console.error("Transit hits endpoint error:", err.message);
+    res.status(500).json({ error: err.message || "Internal server error" });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// POST /api/astrocartography - Planetary, local-space, and paran lines for a stored event
+app.post("/api/astrocartography", async (req, res) => {
+  const { authorization } = req.headers;
+  const { userId, eventId, bodies, near } = req.body;
+
+  let conn;
+  try {
+    // === AUTHENTICATION ===
+    if (!authorization) {
+      return res.status(400).json({
+        error: "Missing JWT token in Authorization header."
+      });
+    }
+
+    const verified = await supabase.auth.getUser(authorization);
+    if (!verified?.data?.user) {
+      return res.status(400).json({ error: "Invalid JWT token" });
+    }
+
+    if (verified.data.user.id !== userId) {
+      return res.status(403).json({
+        error: "Forbidden: You can only request your own data.",
+      });
+    }
+
+    // === VALIDATION ===
+    if (eventId === undefined || isNaN(parseInt(eventId))) {
+      return res.status(400).json({ error: "A valid eventId must be provided." });
+    }
+    if (
+      bodies !== undefined &&
+      (!Array.isArray(bodies) ||
+        bodies.length === 0 ||
+        bodies.some((name) => ASTROCARTOGRAPHY_BODIES[name] === undefined))
+    ) {
+      return res.status(400).json({
+        error: `bodies must be a list of: ${Object.keys(ASTROCARTOGRAPHY_BODIES).join(", ")}.`,
+      });
+    }
+
+    const { options: nearOptions, error: nearError } = parseChartOptions({
+      latitude: req.body.nearLatitude,
+      longitude: req.body.nearLongitude,
+    });
+    if (nearError) {
+      return res.status(400).json({
+        error: "nearLatitude and nearLongitude must both be provided as valid coordinates.",
+      });
+    }
+    const radiusKm = Number(req.body.radiusKm ?? DEFAULT_LINE_RADIUS_KM);
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_LINE_RADIUS_KM) {
+      return res.status(400).json({
+        error: `radiusKm must be above 0 and up to ${MAX_LINE_RADIUS_KM}.`,
+      });
+    }
+
+    conn = await pool.getConnection();
+    const { events, missing } = await loadUserEvents(conn, userId, [eventId]);
+    if (missing.length > 0) {
+      return res
+        .status(404)
+        .json({ error: `Event with ID ${eventId} not found for this user.` });
+    }
+    const [event] = events;
+    if (!getChartMoment(event.chart).isValid || typeof event.chart.meta?.latitude !== "number") {
+      return res.status(400).json({
+        error: "Astrocartography needs an event with a date and coordinates (composite charts have neither).",
+      });
+    }
+
+    // === CALCULATE LINES ===
+    const astrocartography = calculateAstrocartography(event.chart, { bodies });
+    sweph.swe_close();
+
+    // === LINES NEAR A PLACE ===
+    let nearPlace = null;
+    if (typeof nearOptions.latitude === "number" || near) {
+      const place =
+        typeof nearOptions.latitude === "number"
+          ? {
+              formattedLocation: near || `${nearOptions.latitude}, ${nearOptions.longitude}`,
+              latitude: nearOptions.latitude,
+              longitude: nearOptions.longitude,
+            }
+          : await resolveChartLocation(near, DateTime.utc());
+      nearPlace = {
+        location: place.formattedLocation,
+        latitude: place.latitude,
+        longitude: place.longitude,
+        radiusKm,
+        lines: findLinesNear(astrocartography, place.latitude, place.longitude, radiusKm),
+      };
+    }
+
+    res.json({
+      eventId: event.eventId,
+      label: event.label,
+      ...astrocartography,
+      near: nearPlace,
+    });
+  } catch (err) {
+    console.error("Astrocartography endpoint error:", err.message);
+    res.status(500).json({ error: err.message || "Internal server error" });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// POST /api/zodiacal-releasing - Zodiacal releasing periods for a stored event across a date window
+app.post("/api/zodiacal-releasing", async (req, res) => {
+  const { authorization } = req.headers;
+  const {
+    userId,
+    eventId,
+    startDate,
+    endDate,
+    lot = "fortune",
+    levels = 2,
+    yearLength,
+  } = req.body;
+
+  let conn;
+  try {
+    // === AUTHENTICATION ===
+    if (!authorization) {
+      return res.status(400).json({
+        error: "Missing JWT token in Authorization header."
+      });
+    }
+
+    const verified = await supabase.auth.getUser(authorization);
+    if (!verified?.data?.user) {
+      return res.status(400).json({ error: "Invalid JWT token" });
+    }
+
+    if (verified.data.user.id !== userId) {
+      return res.status(403).json({
+        error: "Forbidden: You can only request your own data.",
+      });
+    }
+
+    // === VALIDATION ===
+    if (eventId === undefined || isNaN(parseInt(eventId))) {
+      return res.status(400).json({ error: "A valid eventId must be provided." });
+    }
+    if (!RELEASING_LOTS[lot]) {
+      return res.status(400).json({
+        error: `lot must be one of: ${Object.keys(RELEASING_LOTS).join(", ")}.`,
+      });
+    }
+    const levelCount = Number(levels);
+    if (!Number.isInteger(levelCount) || levelCount < 1 || levelCount > MAX_RELEASING_LEVEL) {
+      return res.status(400).json({
+        error: `levels must be a whole number from 1 to ${MAX_RELEASING_LEVEL}.`,
+      });
+    }
+    if (yearLength !== undefined && !YEAR_LENGTHS[yearLength]) {
+      return res.status(400).json({
+        error: `yearLength must be one of: ${Object.keys(YEAR_LENGTHS).join(", ")}.`,
+      });
+    }
+
+    const start = DateTime.fromISO(startDate || "", { zone: "utc" });
+    const end = DateTime.fromISO(endDate || "", { zone: "utc" });
+    if (!start.isValid || !end.isValid || end <= start) {
+      return res.status(400).json({
+        error: "startDate and endDate must be ISO dates with endDate after startDate.",
+      });
+    }
+    if (end.diff(start, "years").years > MAX_RELEASING_RANGE_YEARS) {
+      return res.status(400).json({
+        error: `The date range cannot exceed ${MAX_RELEASING_RANGE_YEARS} years.`,
+      });
+    }
+
+    conn = await pool.getConnection();
+    const { events, missing } = await loadUserEvents(conn, userId, [eventId]);
+    if (missing.length > 0) {
+      return res
+        .status(404)
+        .json({ error: `Event with ID ${eventId} not found for this user.` });
+    }
+    const [event] = events;
+    if (!getChartMoment(event.chart).isValid || !event.chart.houses) {
+      return res.status(400).json({
+        error: "Zodiacal releasing needs an event with a date and houses.",
+      });
+    }
+
+    // === CALCULATE PERIODS ===
+    const releasing = calculateZodiacalReleasing(event.chart, {
+      startDate: start,
+      endDate: end,
+      lot,
+      levels: levelCount,
+      yearLength,
+    });
+
+    res.json({
+      eventId: event.eventId,
+      label: event.label,
+      startDate: start.toISO(),
+      endDate: end.toISO(),
+      ...releasing,
+    });
+  } catch (err) {
+    console.error("Zodiacal releasing endpoint error:", err.message);
+    res.status(500).json({ error: err.message || "Internal server error" });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// POST /api/time-lords - Annual/monthly profections and firdaria for a stored event
+app.post("/api/time-lords", async (req, res) => {
+  const { authorization } = req.headers;
+  const {
+    userId,
+    eventId,
+    age,
+    startDate,
+    endDate,
+    firdariaVariant = "abu-mashar",
+  } = req.body;
+
+  let conn;
+  try {
+    // === AUTHENTICATION ===
+    if (!authorization) {
+      return res.status(400).json({
+        error: "Missing JWT token in Authorization header."
+      });
+    }
+
+    const verified = await supabase.auth.getUser(authorization);
+    if (!verified?.data?.user) {
+      return res.status(400).json({ error: "Invalid JWT token" });
+    }
+
+    if (verified.data.user.id !== userId) {
+      return res.status(403).json({
+        error: "Forbidden: You can only request your own data.",
+      });
+    }
+
+    // === VALIDATION ===
+    if (eventId === undefined || isNaN(parseInt(eventId))) {
+      return res.status(400).json({ error: "A valid eventId must be provided." });
+    }
+    if (!FIRDARIA_VARIANTS.includes(firdariaVariant)) {
+      return res.status(400).json({
+        error: `firdariaVariant must be one of: ${FIRDARIA_VARIANTS.join(", ")}.`,
+      });
+    }
+    const hasAge = age !== undefined && age !== null && age !== "";
+    const ageYears = Number(age);
+    if (hasAge && (!Number.isInteger(ageYears) || ageYears < 0 || ageYears > MAX_TIME_LORD_RANGE_YEARS)) {
+      return res.status(400).json({
+        error: `age must be a whole number from 0 to ${MAX_TIME_LORD_RANGE_YEARS}.`,
+      });
+    }
+
+    let start;
+    let end;
+    if (!hasAge) {
+      start = DateTime.fromISO(startDate || "", { zone: "utc" });
+      end = DateTime.fromISO(endDate || "", { zone: "utc" });
+      if (!start.isValid || !end.isValid || end <= start) {
+        return res.status(400).json({
+          error: "Provide an age, or startDate and endDate as ISO dates with endDate after startDate.",
+        });
+      }
+      if (end.diff(start, "years").years > MAX_TIME_LORD_RANGE_YEARS) {
+        return res.status(400).json({
+          error: `The date range cannot exceed ${MAX_TIME_LORD_RANGE_YEARS} years.`,
+        });
+      }
+    }
+
+    conn = await pool.getConnection();
+    const { events, missing } = await loadUserEvents(conn, userId, [eventId]);
+    if (missing.length > 0) {
+      return res
+        .status(404)
+        .json({ error: `Event with ID ${eventId} not found for this user.` });
+    }
+    const [event] = events;
+    const birth = getChartMoment(event.chart);
+    if (!birth.isValid || !event.chart.houses) {
+      return res.status(400).json({
+        error: "Time lords need an event with a date and houses.",
+      });
+    }
+    if (hasAge) {
+      // The year of life that begins on that birthday.
+      start = birth.plus({ years: ageYears });
+      end = birth.plus({ years: ageYears + 1 });
+    }
+
+    // === CALCULATE TIME LORDS ===
+    const profections = calculateProfections(event.chart, {
+      startDate: start,
+      endDate: end,
+    });
+    const firdaria = calculateFirdaria(event.chart, {
+      startDate: start,
+      endDate: end,
+      variant: firdariaVariant,
+    });
+
+    res.json({
+      eventId: event.eventId,
+      label: event.label,
+      startDate: start.toISO(),
+      endDate: end.toISO(),
+      sect: firdaria.sect,
+      profections,
+      firdaria: { variant: firdaria.variant, periods: firdaria.periods },
+    });
+  } catch (err) {
+    console.error("Time lords endpoint error:", err.message);
+    res.status(500).json({ error: err.message || "Internal server error" });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// POST /api/sky-events - Lunar phases, eclipses, ingresses, and void-of-course Moons across a date range
+app.post("/api/sky-events", async (req, res) => {
+  const { authorization } = req.headers;
+  const {
+    userId,
+    eventId,
+    startDate,
+    endDate,
+    include = SKY_EVENT_TYPES,
+    bodies,
+    voidOfCourse = "modern",
+  } = req.body;
+
+  let conn;
+  try {
+    // === AUTHENTICATION ===
+    if (!authorization) {
+      return res.status(400).json({
+        error: "Missing JWT token in Authorization header."
+      });
+    }
+
+    const verified = await supabase.auth.getUser(authorization);
+    if (!verified?.data?.user) {
+      return res.status(400).json({ error: "Invalid JWT token" });
+    }
+
+    if (verified.data.user.id !== userId) {
+      return res.status(403).json({
+        error: "Forbidden: You can only request your own data.",
+      });
+    }
+
+    // === VALIDATION ===
+    const start = DateTime.fromISO(startDate || "", { zone: "utc" });
+    const end = DateTime.fromISO(endDate || "", { zone: "utc" });
+    if (!start.isValid || !end.isValid || end <= start) {
+      return res.status(400).json({
+        error: "startDate and endDate must be ISO dates with endDate after startDate.",
+      });
+    }
+    if (end.diff(start, "years").years > MAX_SKY_EVENT_RANGE_YEARS) {
+      return res.status(400).json({
+        error: `The date range cannot exceed ${MAX_SKY_EVENT_RANGE_YEARS} years.`,
+      });
+    }
+    if (
+      !Array.isArray(include) ||
+      include.length === 0 ||
+      include.some((type) => !SKY_EVENT_TYPES.includes(type))
+    ) {
+      return res.status(400).json({
+        error: `include must be a list of: ${SKY_EVENT_TYPES.join(", ")}.`,
+      });
+    }
+    if (
+      bodies !== undefined &&
+      (!Array.isArray(bodies) ||
+        bodies.length === 0 ||
+        bodies.some((name) => EPHEMERIS_BODIES[name] === undefined))
+    ) {
+      return res.status(400).json({
+        error: `bodies must be a list of: ${Object.keys(EPHEMERIS_BODIES).join(", ")}.`,
+      });
+    }
+    if (!VOID_OF_COURSE_PLANETS[voidOfCourse]) {
+      return res.status(400).json({
+        error: `voidOfCourse must be one of: ${Object.keys(VOID_OF_COURSE_PLANETS).join(", ")}.`,
+      });
+    }
+
+    const { options: zodiacOptions, error: optionsError } = parseChartOptions({
+      zodiac: req.body.zodiac,
+      ayanamsa: req.body.ayanamsa,
+    });
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    // === OPTIONAL NATAL CHART ===
+    let event = null;
+    if (eventId !== undefined && eventId !== null && eventId !== "") {
+      if (isNaN(parseInt(eventId))) {
+        return res.status(400).json({ error: "eventId must be a valid event ID." });
+      }
+      conn = await pool.getConnection();
+      const { events, missing } = await loadUserEvents(conn, userId, [eventId]);
+      if (missing.length > 0) {
+        return res
+          .status(404)
+          .json({ error: `Event with ID ${eventId} not found for this user.` });
+      }
+      [event] = events;
+    }
+
+    // === FIND EVENTS ===
+    // Natal hits compare longitudes with the natal chart's, so with an event
+    // the positions follow its zodiac, and a different one is refused.
+    let zodiac = zodiacOptions.zodiac || "tropical";
+    let ayanamsa =
+      zodiac === "sidereal" ? zodiacOptions.ayanamsa || DEFAULT_AYANAMSA : undefined;
+    if (event) {
+      const natalZodiac = event.chart.meta?.zodiac || { type: "tropical" };
+      if (
+        zodiacOptions.zodiac &&
+        (zodiac !== natalZodiac.type || ayanamsa !== natalZodiac.ayanamsa)
+      ) {
+        return res.status(400).json({
+          error: "zodiac and ayanamsa must match the natal chart's when eventId is sent; leave them out to use the chart's own.",
+        });
+      }
+      zodiac = natalZodiac.type;
+      ayanamsa = natalZodiac.ayanamsa;
+    }
+    const skyEvents = findSkyEvents(toJulianDay(start), toJulianDay(end), {
+      flags: applyZodiac(zodiac, ayanamsa),
+      include,
+      bodies,
+      voidOfCourse,
+      natalChart: event?.chart,
+    });
+    sweph.swe_close();
+
+    res.json({
+      startDate: start.toISO(),
+      endDate: end.toISO(),
+      zodiac: describeZodiac(toJulianDay(start), zodiac, ayanamsa),
+      eventId: event ? event.eventId : null,
+      label: event ? event.label : null,
+      ...skyEvents,
+    });
+  } catch (err) {
+    console.error("Sky events endpoint error:", err.message);
+    res.status(500).json({ error: err.message || "Internal server error" });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// POST /api/midpoints - Midpoints, 90° dial sort, planetary pictures, and a harmonic chart for a stored event
+app.post("/api/midpoints", async (req, res) => {
+  const { authorization } = req.headers;
+  const {
+    userId,
+    eventId,
+    orb = DEFAULT_PICTURE_ORB,
+    harmonic,
+    aspectProfile,
+  } = req.body;
+
+  let conn;
+  try {
+    // === AUTHENTICATION ===
+    if (!authorization) {
+      return res.status(400).json({
+        error: "Missing JWT token in Authorization header."
+      });
+    }
+
+    const verified = await supabase.auth.getUser(authorization);
+    if (!verified?.data?.user) {
+      return res.status(400).json({ error: "Invalid JWT token" });
+    }
+
+    if (verified.data.user.id !== userId) {
+      return res.status(403).json({
+        error: "Forbidden: You can only request your own data.",
+      });
+    }
+
+    // === VALIDATION ===
+    if (eventId === undefined || isNaN(parseInt(eventId))) {
+      return res.status(400).json({ error: "A valid eventId must be provided." });
+    }
+    const pictureOrb = Number(orb);
+    if (!Number.isFinite(pictureOrb) || pictureOrb <= 0 || pictureOrb > MAX_PICTURE_ORB) {
+      return res.status(400).json({
+        error: `orb must be a number of degrees above 0 and up to ${MAX_PICTURE_ORB}.`,
+      });
+    }
+    let harmonicNumber;
+    if (harmonic !== undefined && harmonic !== null && harmonic !== "") {
+      harmonicNumber = Number(harmonic);
+      if (!Number.isInteger(harmonicNumber) || harmonicNumber < 1 || harmonicNumber > MAX_HARMONIC) {
+        return res.status(400).json({
+          error: `harmonic must be a whole number from 1 to ${MAX_HARMONIC}.`,
+        });
+      }
+    }
+    if (aspectProfile !== undefined && !ASPECT_PROFILES[aspectProfile]) {
+      return res.status(400).json({
+        error: `aspectProfile must be one of: ${Object.keys(ASPECT_PROFILES).join(", ")}.`,
+      });
+    }
+
+    conn = await pool.getConnection();
+    const { events, missing } = await loadUserEvents(conn, userId, [eventId]);
+    if (missing.length > 0) {
+      return res
+        .status(404)
+        .json({ error: `Event with ID ${eventId} not found for this user.` });
+    }
+    const [event] = events;
+
+    // === CALCULATE MIDPOINTS ===
+    // Works from the stored positions, so the event isn't recalculated or geocoded.
+    const analysis = calculateMidpointAnalysis(event.chart, {
+      orb: pictureOrb,
+      harmonic: harmonicNumber,
+      aspectProfile,
+    });
+
+    res.json({
+      eventId: event.eventId,
+      label: event.label,
+      orb: pictureOrb,
+      ...analysis,
+    });
   } catch (err) {
-    console.error("Server Error:", err);
-    res
-      .status(500)
-      .json({ error: err.message || "An unknown server error occurred." });
+    console.error("Midpoints endpoint error:", err.message);
+    res.status(500).json({ error: err.message || "Internal server error" });
   } finally {
     if (conn) conn.release();
   }
 });
 
-// 6. Ephemeris endpoint - Get planet positions for any date
-app.post("/api/ephemeris", async (req, res) => {
+// POST /api/retrograde-periods - List a body's retrograde periods across a date range
+app.post("/api/retrograde-periods", async (req, res) => {
   const { authorization } = req.headers;
-  const { userId, year, month, day, time, location, houseSystem = "P" } = req.body;
+  const { userId, body, startDate, endDate } = req.body;
 
   try {
     // === AUTHENTICATION ===
@@ -1006,26 +3564,140 @@ app.post("/api/ephemeris", async (req, res) => {
       });
     }
 
-    // === CALCULATE EPHEMERIS ===
-    const chartData = await calculateChart(
-      year,
-      month,
-      day,
-      time,
-      location,
-      true, // Include houses
-      houseSystem
-    );
+    // === VALIDATION ===
+    if (STATION_BODIES[body] === undefined) {
+      return res.status(400).json({
+        error: `body must be one of: ${Object.keys(STATION_BODIES).join(", ")}.`,
+      });
+    }
 
-    // Return lightweight response (no saving to DB)
-    res.json(chartData);
+    const start = DateTime.fromISO(startDate || "", { zone: "utc" });
+    const end = DateTime.fromISO(endDate || "", { zone: "utc" });
+    if (!start.isValid || !end.isValid || end <= start) {
+      return res.status(400).json({
+        error: "startDate and endDate must be ISO dates with endDate after startDate.",
+      });
+    }
+    if (end.diff(start, "years").years > MAX_RETROGRADE_RANGE_YEARS) {
+      return res.status(400).json({
+        error: `The date range cannot exceed ${MAX_RETROGRADE_RANGE_YEARS} years.`,
+      });
+    }
 
+    const { options: zodiacOptions, error: optionsError } = parseChartOptions({
+      zodiac: req.body.zodiac,
+      ayanamsa: req.body.ayanamsa,
+    });
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    // === FIND RETROGRADE PERIODS ===
+    const periods = findRetrogradePeriods(
+      body,
+      toJulianDay(start),
+      toJulianDay(end),
+      applyZodiac(zodiacOptions.zodiac, zodiacOptions.ayanamsa)
+    );
+    sweph.swe_close();
+
+    res.json({
+      body,
+      startDate: start.toISO(),
+      endDate: end.toISO(),
+      zodiac: zodiacOptions.zodiac || "tropical",
+      periods,
+    });
   } catch (err) {
-    console.error("Ephemeris endpoint error:", err.message);
+    console.error("Retrograde periods endpoint error:", err.message);
     res.status(500).json({ error: err.message || "Internal server error" });
   }
 });
 
+// GET /api/user-preferences/:userId - Get the user's chart defaults
+app.get("/api/user-preferences/:userId", async (req, res) => {
+  let conn;
+  const { authorization } = req.headers;
+  const { userId } = req.params;
+
+  try {
+    // === AUTHENTICATION ===
+    if (!authorization) {
+      return res.status(400).json({ error: "Missing JWT token" });
+    }
+
+    const verified = await supabase.auth.getUser(authorization);
+    if (!verified?.data?.user) {
+      return res.status(400).json({ error: "Invalid JWT token" });
+    }
+
+    if (verified.data.user.id !== userId) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+
+    conn = await pool.getConnection();
+    const { houseSystem } = await resolveHouseSystem(conn, userId);
+    res.json({
+      userId,
+      houseSystem,
+      houseSystemName: HOUSE_SYSTEMS[houseSystem],
+    });
+  } catch (err) {
+    console.error("Get preferences error:", err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// PUT /api/user-preferences/:userId - Update the user's chart defaults
+app.put("/api/user-preferences/:userId", async (req, res) => {
+  let conn;
+  const { authorization } = req.headers;
+  const { userId } = req.params;
+
+  try {
+    // === AUTHENTICATION ===
+    if (!authorization) {
+      return res.status(400).json({ error: "Missing JWT token" });
+    }
+
+    const verified = await supabase.auth.getUser(authorization);
+    if (!verified?.data?.user) {
+      return res.status(400).json({ error: "Invalid JWT token" });
+    }
+
+    if (verified.data.user.id !== userId) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+
+    // === VALIDATION ===
+    const houseSystem = normalizeHouseSystem(req.body.houseSystem);
+    if (!houseSystem) {
+      return res.status(400).json({ error: HOUSE_SYSTEM_ERROR });
+    }
+
+    conn = await pool.getConnection();
+    await conn.query(
+      `INSERT INTO user_preferences (user_id, default_house_system)
+       VALUES (?, ?)
+       ON DUPLICATE KEY UPDATE default_house_system = VALUES(default_house_system)`,
+      [userId, houseSystem]
+    );
+
+    res.json({
+      userId,
+      houseSystem,
+      houseSystemName: HOUSE_SYSTEMS[houseSystem],
+    });
+  } catch (err) {
+    console.error("Update preferences error:", err);
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
 // 7. Chat endpoints
 
 const buildConversationTitle = (message) => {
@@ -1091,10 +3763,13 @@ app.post("/api/chat", async (req, res) => {
     chatHistoryContext,
     saveToHistory = true,
     transitTimestamp,
+    transitHitDays,
+    astrocartographyCity,
+    releasingLot,
     progressed,
     progressedEventIds,
-    progressedTimezones,
-    houseSystem = "P",
+    zodiac,
+    ayanamsa,
   } = req.body;
 
   try {
@@ -1126,8 +3801,50 @@ app.post("/api/chat", async (req, res) => {
       return res.status(400).json({ error: "userMessage is required" });
     }
 
-    // === 3. RATE LIMITING ===
+    const { options: zodiacOptions, error: optionsError } = parseChartOptions({
+      zodiac,
+      ayanamsa,
+    });
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    const { options: progressionOptions, error: progressionError } =
+      parseProgressionOptions({
+        targetDate: req.body.progressionDate,
+        angleMethod: req.body.angleMethod,
+        converse: req.body.converse,
+      });
+    if (progressionError) {
+      return res.status(400).json({ error: progressionError });
+    }
+
+    const hitDays =
+      transitHitDays === undefined || transitHitDays === null
+        ? null
+        : Number(transitHitDays);
+    if (hitDays !== null && !(hitDays > 0 && hitDays <= MAX_CHAT_TRANSIT_DAYS)) {
+      return res.status(400).json({
+        error: `transitHitDays must be a number of days above 0 and up to ${MAX_CHAT_TRANSIT_DAYS}.`,
+      });
+    }
+    if (releasingLot && !RELEASING_LOTS[releasingLot]) {
+      return res.status(400).json({
+        error: `releasingLot must be one of: ${Object.keys(RELEASING_LOTS).join(", ")}.`,
+      });
+    }
+
     conn = await pool.getConnection();
+    const { houseSystem, error: houseSystemError } = await resolveHouseSystem(
+      conn,
+      userId,
+      req.body.houseSystem
+    );
+    if (houseSystemError) {
+      return res.status(400).json({ error: houseSystemError });
+    }
+
+    // === 3. RATE LIMITING ===
 
     const checkQuery = `SELECT queries_today, last_query_timestamp FROM user_query_stats WHERE user_id = ?`;
     const userStats = await conn.query(checkQuery, [userId]);
@@ -1155,6 +3872,14 @@ app.post("/api/chat", async (req, res) => {
           ? JSON.parse(chartData)
           : chartData;
         eventIdsUsed = parsedChartData.map(event => event.event_id);
+        for (const event of parsedChartData) {
+          if (event.event_data?.positions && !event.event_data.analysis) {
+            event.event_data.analysis = analyzeChart(event.event_data);
+          }
+          if (event.event_data?.aspects && !event.event_data.patterns) {
+            event.event_data.patterns = detectAspectPatterns(event.event_data);
+          }
+        }
       } catch (err) {
         if (conn) conn.release();
         return res.status(400).json({ error: "Invalid chartData JSON" });
@@ -1186,46 +3911,35 @@ app.post("/api/chat", async (req, res) => {
       chartContext = "\n\nNo specific birth charts provided. This is a general astrology question.\n";
     }
 
+    // Compare each pair of selected events
+    let synastryContext = "";
+    if (parsedChartData.length >= 2) {
+      try {
+        const events = parsedChartData
+          .filter((event) => event.event_data?.positions)
+          .slice(0, MAX_SYNASTRY_EVENTS);
+        for (let i = 0; i < events.length; i++) {
+          for (let j = i + 1; j < events.length; j++) {
+            const synastry = calculateSynastry(
+              events[i].event_data,
+              events[j].event_data
+            );
+            synastryContext += `\n\n**Synastry: ${events[i].label} (first) with ${events[j].label} (second):**\n---\n${JSON.stringify(synastry, null, 2)}\n---`;
+          }
+        }
+      } catch (e) {
+        console.error("Error processing synastry:", e.message);
+      }
+    }
+
     // Handle progressed charts if requested
     let progressedContext = "";
     if (progressed && progressedEventIds?.length > 0) {
       try {
-        let charts = parsedChartData;
-        if (!Array.isArray(charts)) charts = [charts];
-        const updatedCharts = await Promise.all(
-          charts.map(async (chart) => {
-            if (progressedEventIds.includes(chart.event_id)) {
-              const birthDate = DateTime.fromISO(chart.event_data.meta.date);
-              const natalLocation = chart.event_data.meta.location;
-              const customTimezone = progressedTimezones[chart.event_id];
-              if (birthDate.isValid && natalLocation) {
-                const ageInYears = DateTime.now().diff(birthDate, "years").years;
-                const progressedDate = birthDate.plus({ days: ageInYears });
-
-                let locationForCalc = natalLocation;
-                if (customTimezone) {
-                  const cityData = cityTimezones.cityMapping.find(
-                    (c) => c.timezone === customTimezone
-                  );
-                  if (cityData) {
-                    locationForCalc = `${cityData.city}, ${cityData.country}`;
-                  }
-                }
-
-                const progressedChartData = await calculateChart(
-                  progressedDate.year,
-                  progressedDate.month,
-                  progressedDate.day,
-                  progressedDate.toFormat("HH:mm:ss"),
-                  locationForCalc,
-                  false,
-                  houseSystem
-                );
-                chart.progressedChart = progressedChartData;
-              }
-            }
-            return chart;
-          })
+        const updatedCharts = addProgressions(
+          parsedChartData,
+          progressedEventIds,
+          progressionOptions
         );
         finalChartDataString = JSON.stringify(updatedCharts, null, 2);
       } catch (e) {
@@ -1255,7 +3969,10 @@ app.post("/api/chat", async (req, res) => {
             transitDate.toFormat("HH:mm:ss"),
             transitLocation,
             false,
-            houseSystem
+            houseSystem,
+            // The timestamp is already an absolute moment; its offset stops the
+            // wall time from being resolved again (and failing in a DST overlap).
+            { ...zodiacOptions, utcOffset: transitDate.offset / 60 }
           );
           transitContext = `\n\n**Transit Chart for ${transitDate.toFormat(
             "yyyy-MM-dd HH:mm"
@@ -1266,6 +3983,75 @@ app.post("/api/chat", async (req, res) => {
       }
     }
 
+    // List the exact transits coming up for each selected event
+    let transitHitsContext = "";
+    if (hitDays !== null && parsedChartData.length > 0) {
+      try {
+        const from = transitTimestamp
+          ? DateTime.fromISO(transitTimestamp, { setZone: true })
+          : DateTime.utc();
+        const startJd = toJulianDay((from.isValid ? from : DateTime.utc()).toUTC());
+        for (const event of parsedChartData) {
+          if (!event.event_data?.positions) continue;
+          const hits = findTransitHits(
+            event.event_data,
+            startJd,
+            startJd + hitDays
+          ).slice(0, MAX_CHAT_TRANSIT_HITS);
+          transitHitsContext += `\n\n**Upcoming transits to ${event.label} (next ${hitDays} days):**\n---\n${JSON.stringify(hits, null, 2)}\n---`;
+        }
+        sweph.swe_close();
+      } catch (e) {
+        console.error("Error processing transit hits:", e.message);
+      }
+    }
+
+    // Give the lines near the city asked about as data, not guesswork
+    let astrocartographyContext = "";
+    if (astrocartographyCity && parsedChartData.length > 0) {
+      try {
+        const city = await resolveChartLocation(astrocartographyCity, DateTime.utc());
+        for (const event of parsedChartData) {
+          if (!getChartMoment(event.event_data).isValid) continue;
+          if (typeof event.event_data.meta?.latitude !== "number") continue;
+          const lines = findLinesNear(
+            calculateAstrocartography(event.event_data),
+            city.latitude,
+            city.longitude,
+            DEFAULT_LINE_RADIUS_KM
+          );
+          astrocartographyContext += `\n\n**Astrocartography lines within ${DEFAULT_LINE_RADIUS_KM} km of ${city.formattedLocation} for ${event.label}:**\n---\n${JSON.stringify(lines, null, 2)}\n---`;
+        }
+        sweph.swe_close();
+      } catch (e) {
+        console.error("Error processing astrocartography:", e.message);
+      }
+    }
+
+    // Zodiacal releasing periods for the coming year
+    let releasingContext = "";
+    if (releasingLot && parsedChartData.length > 0) {
+      try {
+        const from = transitTimestamp
+          ? DateTime.fromISO(transitTimestamp, { setZone: true })
+          : DateTime.utc();
+        const startDate = from.isValid ? from : DateTime.utc();
+        for (const event of parsedChartData) {
+          if (!getChartMoment(event.event_data).isValid) continue;
+          if (!event.event_data.houses) continue;
+          const releasing = calculateZodiacalReleasing(event.event_data, {
+            startDate,
+            endDate: startDate.plus({ years: CHAT_RELEASING_YEARS }),
+            lot: releasingLot,
+            levels: CHAT_RELEASING_LEVELS,
+          });
+          releasingContext += `\n\n**Zodiacal releasing from the Lot of ${releasingLot === "spirit" ? "Spirit" : "Fortune"} for ${event.label} (from ${startDate.toFormat("yyyy-MM-dd")}):**\n---\n${JSON.stringify(releasing, null, 2)}\n---`;
+        }
+      } catch (e) {
+        console.error("Error processing zodiacal releasing:", e.message);
+      }
+    }
+
     // Frontend is responsible for building contextual user message payload
     // (critical for encrypted chats where server cannot decrypt DB history).
     const modelUserMessage =
@@ -1278,12 +4064,17 @@ app.post("/api/chat", async (req, res) => {
       ? `
       You are an expert astrologer with deep knowledge of various astrological techniques including natal charts, synastry, composite charts, progressed charts, astrocartography, and zodiacal releasing.
       Analyze the following astrological data and answer the user's question based on it. Provide a thoughtful, detailed, and insightful interpretation without unnecessary flattery.
+      Each chart's "analysis" block holds the calculated essential dignities, sect, chart and house rulers, dispositors, mutual receptions, and element/modality balance. Its "patterns" list holds the detected aspect patterns (grand trines, T-squares, yods, kites, stelliums, and so on). Each position also carries its declination, with "outOfBounds" set when it lies beyond the Sun's greatest declination, and the "declinationAspects" list holds parallels and contraparallels. "meta.frame" says whether positions are geocentric, topocentric, or heliocentric; heliocentric charts have Earth in place of the Sun and no Moon, nodes, or houses. When present, "fixedStars" holds fixed star conjunctions and star-planet parans at the birth latitude. Cite these rather than working them out yourself.
       **Astrological Data:**
       ---
       ${finalChartDataString}
       ---
+      ${synastryContext}
       ${progressedContext}
       ${transitContext}
+      ${transitHitsContext}
+      ${astrocartographyContext}
+      ${releasingContext}
       **User's Question:**
       ${modelUserMessage}
       **Your Interpretation:**
@@ -1337,10 +4128,13 @@ app.post("/api/chat", async (req, res) => {
 
       const metadata = {
         transitTimestamp,
+        transitHitDays: hitDays,
+        astrocartographyCity,
+        releasingLot,
         progressed,
         progressedEventIds,
-        progressedTimezones,
-        houseSystem
+        houseSystem,
+        ...zodiacOptions
       };
 
       const insertResult = await conn.query(insertQuery, [
@@ -1852,6 +4646,205 @@ app.post("/api/chat/save-encrypted", async (req, res) => {
   }
 });
 
+// 9. Admin endpoints
+
+// Middleware: only users listed in ADMIN_USER_IDS may use admin endpoints.
+const requireAdmin = async (req, res, next) => {
+  const { authorization } = req.headers;
+  if (!authorization) {
+    return res.status(400).json({ error: "Missing JWT token" });
+  }
+
+  try {
+    const verified = await supabase.auth.getUser(authorization);
+    if (!verified?.data?.user) {
+      return res.status(400).json({ error: "Invalid JWT token" });
+    }
+
+    if (!ADMIN_USER_IDS.includes(verified.data.user.id)) {
+      return res.status(403).json({ error: "Forbidden: Admin access required." });
+    }
+
+    next();
+  } catch (err) {
+    console.error("Admin auth error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// GET /api/admin/geocode-cache - Inspect cached locations
+app.get("/api/admin/geocode-cache", requireAdmin, async (req, res) => {
+  let conn;
+  const search = typeof req.query.search === "string" ? req.query.search : "";
+  const limit =
+    req.query.limit === undefined
+      ? DEFAULT_GEOCODE_CACHE_PAGE_SIZE
+      : Number(req.query.limit);
+  const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_GEOCODE_CACHE_PAGE_SIZE) {
+    return res.status(400).json({
+      error: `limit must be a whole number from 1 to ${MAX_GEOCODE_CACHE_PAGE_SIZE}.`,
+    });
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({ error: "offset must be a whole number of at least 0." });
+  }
+
+  try {
+    conn = await pool.getConnection();
+
+    const whereClause = search ? "WHERE query_key LIKE ?" : "";
+    const whereParams = search ? [`%${normalizeGeocodeQuery(search)}%`] : [];
+
+    const entries = await conn.query(
+      `SELECT
+        cache_id as cacheId,
+        query_key as queryKey,
+        original_query as originalQuery,
+        latitude,
+        longitude,
+        formatted_address as formattedAddress,
+        timezone,
+        provider,
+        confidence,
+        is_manual as isManual,
+        hit_count as hitCount,
+        last_hit_at as lastHitAt,
+        expires_at as expiresAt,
+        created_at as createdAt,
+        updated_at as updatedAt
+      FROM geocode_cache
+      ${whereClause}
+      ORDER BY hit_count DESC, updated_at DESC
+      LIMIT ? OFFSET ?`,
+      [...whereParams, limit, offset]
+    );
+
+    const countResult = await conn.query(
+      `SELECT COUNT(*) as total FROM geocode_cache ${whereClause}`,
+      whereParams
+    );
+
+    res.json({
+      entries: entries.map((entry) => ({
+        ...entry,
+        isManual: Boolean(entry.isManual),
+      })),
+      total: Number(countResult[0]?.total || 0),
+    });
+  } catch (err) {
+    console.error("Get geocode cache error:", err.message);
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// PUT /api/admin/geocode-cache - Manually correct (or pre-seed) a cached location
+app.put("/api/admin/geocode-cache", requireAdmin, async (req, res) => {
+  let conn;
+  const { query, latitude, longitude, formattedAddress, timezone } = req.body;
+
+  try {
+    if (!normalizeGeocodeQuery(query)) {
+      return res.status(400).json({ error: "query is required" });
+    }
+    if (
+      !Number.isFinite(latitude) ||
+      !Number.isFinite(longitude) ||
+      Math.abs(latitude) > 90 ||
+      Math.abs(longitude) > 180
+    ) {
+      return res
+        .status(400)
+        .json({ error: "latitude and longitude must be valid coordinates" });
+    }
+    if (!timezone || !IANAZone.isValidZone(timezone)) {
+      return res
+        .status(400)
+        .json({ error: "timezone must be a valid IANA timezone" });
+    }
+
+    conn = await pool.getConnection();
+    await upsertManualLocation(conn, {
+      query,
+      latitude,
+      longitude,
+      formattedAddress: formattedAddress || String(query).trim(),
+      timezone,
+    });
+
+    res.json({
+      success: true,
+      queryKey: normalizeGeocodeQuery(query),
+      message: "Geocode cache entry saved",
+    });
+  } catch (err) {
+    console.error("Update geocode cache error:", err.message);
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// DELETE /api/admin/geocode-cache/:cacheId - Remove a single cached location
+app.delete("/api/admin/geocode-cache/:cacheId", requireAdmin, async (req, res) => {
+  let conn;
+  const { cacheId } = req.params;
+
+  try {
+    if (!cacheId || isNaN(parseInt(cacheId))) {
+      return res.status(400).json({ error: "A valid cacheId must be provided." });
+    }
+
+    conn = await pool.getConnection();
+    const result = await conn.query(
+      "DELETE FROM geocode_cache WHERE cache_id = ?",
+      [cacheId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: "Cache entry not found" });
+    }
+
+    res.json({ success: true, message: "Cache entry deleted successfully" });
+  } catch (err) {
+    console.error("Delete geocode cache entry error:", err.message);
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
+// DELETE /api/admin/geocode-cache - Purge the cache (?expiredOnly=true keeps live entries,
+// ?includeManual=true also removes manual corrections)
+app.delete("/api/admin/geocode-cache", requireAdmin, async (req, res) => {
+  let conn;
+  const expiredOnly = req.query.expiredOnly === "true";
+  const includeManual = req.query.includeManual === "true";
+
+  try {
+    const conditions = [];
+    if (expiredOnly) conditions.push("expires_at IS NOT NULL AND expires_at <= NOW()");
+    if (!includeManual) conditions.push("is_manual = FALSE");
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    conn = await pool.getConnection();
+    const result = await conn.query(`DELETE FROM geocode_cache ${whereClause}`);
+
+    res.json({
+      success: true,
+      deletedCount: result.affectedRows,
+      message: "Geocode cache purged",
+    });
+  } catch (err) {
+    console.error("Purge geocode cache error:", err.message);
+    res.status(500).json({ error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+});
+
 // Global body-size error handler (registered after route middleware).
 app.use((err, req, res, next) => {
   if (err?.type === "entity.too.large") {
@@ -1862,7 +4855,7 @@ app.use((err, req, res, next) => {
   return next(err);
 });
 
-// 9. Start the server
+// 10. Start the server
 app.listen(PORT, () => {
   console.log(`Server is running on http://localhost:${PORT}`);
 
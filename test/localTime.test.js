@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  LocalTimeConflictError,
+  resolveLocalTime,
+} = require("../lib/localTime");
+
+test("an ordinary local time resolves to one UTC moment", () => {
+  const result = resolveLocalTime({
+    isoString: "2024-07-01T12:00",
+    zone: "Europe/London",
+    longitude: 0,
+  });
+  assert.equal(result.utcTime.toISO(), "2024-07-01T11:00:00.000Z");
+  assert.equal(result.utcOffset, 1);
+  assert.deepEqual(result.resolution, {
+    mode: "zone",
+    status: "unique",
+    dstResolution: null,
+  });
+});
+
+test("a London fall-back overlap needs a dstResolution", () => {
+  const params = {
+    isoString: "2024-10-27T01:30",
+    zone: "Europe/London",
+    longitude: 0,
+  };
+  assert.throws(
+    () => resolveLocalTime(params),
+    (err) => {
+      assert.ok(err instanceof LocalTimeConflictError);
+      assert.equal(err.status, 409);
+      const body = err.toJSON();
+      assert.equal(body.code, "AMBIGUOUS_LOCAL_TIME");
+      assert.equal(body.status, "ambiguous");
+      assert.deepEqual(
+        body.options.map((option) => [option.dstResolution, option.utc]),
+        [
+          ["earlier", "2024-10-27T00:30:00.000Z"],
+          ["later", "2024-10-27T01:30:00.000Z"],
+        ]
+      );
+      return true;
+    }
+  );
+
+  const earlier = resolveLocalTime({ ...params, dstResolution: "earlier" });
+  assert.equal(earlier.utcTime.toISO(), "2024-10-27T00:30:00.000Z");
+  assert.equal(earlier.resolution.status, "ambiguous");
+  const later = resolveLocalTime({ ...params, dstResolution: "later" });
+  assert.equal(later.utcTime.toISO(), "2024-10-27T01:30:00.000Z");
+  assert.equal(later.utcOffset, 0);
+});
+
+test("a New York spring-forward gap needs a dstResolution", () => {
+  const params = {
+    isoString: "2024-03-10T02:30",
+    zone: "America/New_York",
+    longitude: -74,
+  };
+  assert.throws(
+    () => resolveLocalTime(params),
+    (err) => err.code === "NONEXISTENT_LOCAL_TIME" && err.localTimeStatus === "nonexistent"
+  );
+
+  // "earlier" keeps the standard offset (-5), "later" applies daylight time (-4).
+  const earlier = resolveLocalTime({ ...params, dstResolution: "earlier" });
+  assert.equal(earlier.utcTime.toISO(), "2024-03-10T07:30:00.000Z");
+  const later = resolveLocalTime({ ...params, dstResolution: "later" });
+  assert.equal(later.utcTime.toISO(), "2024-03-10T06:30:00.000Z");
+});
+
+test("Local Mean Time uses four minutes per degree of longitude", () => {
+  // Paris, 2°21'E: LMT is 9 min 24 s ahead of Greenwich.
+  const result = resolveLocalTime({
+    isoString: "1850-01-01T12:00",
+    zone: "Europe/Paris",
+    longitude: 2.35,
+    timeMode: "lmt",
+  });
+  assert.equal(result.utcTime.toISO(), "1850-01-01T11:50:36.000Z");
+  assert.equal(result.timeZone, "LMT");
+  assert.equal(result.resolution.mode, "lmt");
+});
+
+test("invalid options are rejected", () => {
+  assert.throws(
+    () => resolveLocalTime({ isoString: "2024-01-01T12:00", zone: "Nowhere/City" }),
+    /Unknown timezone/
+  );
+  assert.throws(
+    () =>
+      resolveLocalTime({
+        isoString: "2024-01-01T12:00",
+        zone: "utc",
+        dstResolution: "sideways",
+      }),
+    /dstResolution must be one of/
+  );
+});
@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const sweph = require("swisseph");
+const { DateTime } = require("luxon");
+const { calculateProgressions } = require("../lib/progressions");
+const { initEphemeris, toJulianDay, calcBody } = require("../lib/ephemeris");
+const { calculateHouses, withAngles } = require("../lib/houses");
+const { signedArc } = require("../lib/zodiac");
+
+// 1990-05-15 12:00 in Paris (10:00 UT).
+const natalDate = DateTime.fromISO("1990-05-15T10:00:00Z", { zone: "utc" });
+const latitude = 48.8566;
+const longitude = 2.3522;
+
+// initEphemeris() again before each direct calculation, as the library does.
+const bodyLongitude = (jd, bodyId) => {
+  initEphemeris();
+  return calcBody(jd, bodyId, 0).longitude;
+};
+
+const buildNatalChart = () => {
+  const jd = toJulianDay(natalDate);
+  const houses = calculateHouses(jd, 0, latitude, longitude, "P");
+  return {
+    meta: {
+      date: natalDate.toFormat("yyyy-MM-dd HH:mm:ss"),
+      latitude,
+      longitude,
+      inputs: { houseSystem: "P" },
+    },
+    positions: {
+      Sun: { longitude: bodyLongitude(jd, sweph.SE_SUN) },
+      Moon: { longitude: bodyLongitude(jd, sweph.SE_MOON) },
+    },
+    houses: {
+      ascendant: houses.ascendant,
+      mc: houses.mc,
+      cusps: houses.house.slice(0, 12),
+    },
+  };
+};
+
+test("secondary progressions move one day per year of life", () => {
+  const natalChart = buildNatalChart();
+  const targetDate = natalDate.plus({ years: 30 });
+  const result = calculateProgressions(natalChart, { targetDate });
+
+  assert.ok(Math.abs(result.elapsedYears - 30) < 0.01);
+  const progressedJd = toJulianDay(natalDate) + result.elapsedYears;
+  const progressedSun = bodyLongitude(progressedJd, sweph.SE_SUN);
+  assert.ok(
+    Math.abs(signedArc(progressedSun, result.secondary.positions.Sun.longitude)) < 1e-6
+  );
+  assert.equal(
+    DateTime.fromISO(result.secondary.progressedDate).toUTC().toISODate(),
+    "1990-06-14"
+  );
+});
+
+test("solar arc directions move every point by the progressed Sun's arc", () => {
+  const natalChart = buildNatalChart();
+  const result = calculateProgressions(natalChart, {
+    targetDate: natalDate.plus({ years: 30 }),
+  });
+  const { arc, positions } = result.solarArc;
+
+  // About a degree a year.
+  assert.ok(arc > 28 && arc < 30);
+  assert.ok(
+    Math.abs(signedArc(positions.Sun.longitude, result.secondary.positions.Sun.longitude)) < 1e-9
+  );
+  for (const [name, natal] of Object.entries(withAngles(natalChart))) {
+    assert.ok(Math.abs(signedArc(natal.longitude, positions[name].longitude) - arc) < 1e-9);
+  }
+});
+
+test("converse progressions run backwards from birth", () => {
+  const natalChart = buildNatalChart();
+  const result = calculateProgressions(natalChart, {
+    targetDate: natalDate.plus({ years: 30 }),
+    converse: true,
+  });
+  assert.equal(
+    DateTime.fromISO(result.secondary.progressedDate).toUTC().toISODate(),
+    "1990-04-15"
+  );
+  assert.ok(result.solarArc.arc < -28 && result.solarArc.arc > -30);
+});
+
+test("a chart without coordinates can't be progressed", () => {
+  const natalChart = buildNatalChart();
+  delete natalChart.meta.latitude;
+  assert.throws(() => calculateProgressions(natalChart), /valid date and coordinates/);
+});
@@ -0,0 +1,123 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { DateTime } = require("luxon");
+const { calculateZodiacalReleasing, SIGN_PERIODS } = require("../lib/releasing");
+
+const birth = DateTime.fromISO("1990-01-01T12:00:00Z", { zone: "utc" });
+
+// A day chart (the Sun above the horizon) with the Ascendant at 0° Aries:
+// Fortune = Ascendant + Moon - Sun = 75°, 15° Gemini.
+const buildChart = ({ sun = 270, moon = 345 } = {}) => ({
+  meta: { date: birth.toFormat("yyyy-MM-dd HH:mm:ss") },
+  positions: { Sun: { longitude: sun }, Moon: { longitude: moon } },
+  houses: { ascendant: 0, mc: 270 },
+});
+
+const days = (period) =>
+  DateTime.fromISO(period.endDate).diff(DateTime.fromISO(period.startDate), "days").days;
+
+test("level 1 runs through the signs from the lot with each sign's minor years", () => {
+  const result = calculateZodiacalReleasing(buildChart(), {
+    startDate: birth,
+    endDate: birth.plus({ years: 100 }),
+    levels: 1,
+  });
+  assert.equal(result.lotSign, "Gemini");
+  assert.deepEqual(
+    result.periods.slice(0, 5).map((period) => [period.sign, period.ruler]),
+    [
+      ["Gemini", "Mercury"],
+      ["Cancer", "Moon"],
+      ["Leo", "Sun"],
+      ["Virgo", "Mercury"],
+      ["Libra", "Venus"],
+    ]
+  );
+  // Valens' 360-day years: Gemini 20, Cancer 25, Leo 19.
+  assert.deepEqual(
+    result.periods.slice(0, 3).map((period) => Math.round(days(period))),
+    [20 * 360, 25 * 360, 19 * 360]
+  );
+  assert.ok(result.periods.every((period) => !period.loosingOfBond));
+});
+
+test("peaks fall in the signs angular to the lot", () => {
+  const result = calculateZodiacalReleasing(buildChart(), {
+    startDate: birth,
+    endDate: birth.plus({ years: 200 }),
+    levels: 1,
+  });
+  const peaks = Object.fromEntries(
+    result.periods.slice(0, 12).map((period) => [period.sign, period.peak])
+  );
+  assert.equal(peaks.Gemini, "moderate");
+  assert.equal(peaks.Virgo, "minor");
+  assert.equal(peaks.Sagittarius, "moderate");
+  assert.equal(peaks.Pisces, "major");
+  assert.equal(peaks.Cancer, null);
+});
+
+test("level 2 looses the bond to the opposite sign after a full round", () => {
+  const geminiEnd = birth.plus({ days: 20 * 360 });
+  const result = calculateZodiacalReleasing(buildChart(), {
+    startDate: birth,
+    endDate: geminiEnd,
+    levels: 2,
+  });
+  assert.equal(result.periods.length, 1);
+  const subperiods = result.periods[0].periods;
+
+  // Twelve signs from Gemini take 211 thirty-day months, all of them.
+  assert.equal(SIGN_PERIODS.reduce((sum, years) => sum + years, 0), 211);
+  assert.deepEqual(
+    subperiods.slice(11).map((period) => [period.sign, period.loosingOfBond]),
+    [
+      ["Taurus", false],
+      ["Sagittarius", true],
+      ["Capricorn", false],
+    ]
+  );
+  const loosing = subperiods[12];
+  assert.equal(
+    Math.round(DateTime.fromISO(loosing.startDate).diff(birth, "days").days),
+    211 * 30
+  );
+  assert.equal(Math.round(days(loosing)), 12 * 30);
+  // Capricorn is cut short where the Gemini period ends.
+  assert.equal(Math.round(days(subperiods[13])), (240 - 211 - 12) * 30);
+  assert.equal(subperiods[13].endDate, result.periods[0].endDate);
+});
+
+test("calendar years stretch every period", () => {
+  const result = calculateZodiacalReleasing(buildChart(), {
+    startDate: birth,
+    endDate: birth.plus({ years: 1 }),
+    levels: 1,
+    yearLength: "calendar",
+  });
+  assert.ok(Math.abs(days(result.periods[0]) - 20 * 365.2425) < 0.001);
+});
+
+test("a night chart releases from the reversed lot", () => {
+  // The Sun below the horizon: Fortune = Ascendant - (Moon - Sun) = 285°, Capricorn.
+  const result = calculateZodiacalReleasing(buildChart({ sun: 90, moon: 165 }), {
+    startDate: birth,
+    endDate: birth.plus({ years: 1 }),
+    levels: 1,
+  });
+  assert.equal(result.lotSign, "Capricorn");
+  assert.equal(result.periods[0].sign, "Capricorn");
+});
+
+test("a chart without houses can't be released", () => {
+  const chart = buildChart();
+  delete chart.houses;
+  assert.throws(
+    () =>
+      calculateZodiacalReleasing(chart, {
+        startDate: birth,
+        endDate: birth.plus({ years: 1 }),
+      }),
+    /valid date and houses/
+  );
+});
@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const sweph = require("swisseph");
+const { DateTime } = require("luxon");
+const { findReturn } = require("../lib/returns");
+const { initEphemeris, toJulianDay, calcBody } = require("../lib/ephemeris");
+const { signedArc } = require("../lib/zodiac");
+
+// 1990-05-15 12:00 in Paris (10:00 UT).
+const natalJd = toJulianDay(DateTime.fromISO("1990-05-15T10:00:00Z"));
+
+// initEphemeris() again before each direct calculation, as the library does.
+const bodyPosition = (jd, bodyId) => {
+  initEphemeris();
+  return calcBody(jd, bodyId, 0);
+};
+
+test("the solar return is the Sun's first return to its natal longitude", () => {
+  const natalSun = bodyPosition(natalJd, sweph.SE_SUN).longitude;
+  const fromJd = toJulianDay(DateTime.fromISO("2024-01-01T00:00:00Z"));
+  const result = findReturn("solar", natalSun, fromJd);
+
+  assert.ok(result.julianDay >= fromJd);
+  assert.ok(Math.abs(signedArc(natalSun, result.longitude)) < 1e-6);
+  const sunAtReturn = bodyPosition(result.julianDay, sweph.SE_SUN).longitude;
+  assert.ok(Math.abs(signedArc(natalSun, sunAtReturn)) < 1e-6);
+  // The birthday, give or take a day.
+  assert.ok(["2024-05-14", "2024-05-15", "2024-05-16"].includes(result.date.slice(0, 10)));
+});
+
+test("the lunar return comes within one sidereal month", () => {
+  const natalMoon = bodyPosition(natalJd, sweph.SE_MOON).longitude;
+  const fromJd = toJulianDay(DateTime.fromISO("2024-01-01T00:00:00Z"));
+  const result = findReturn("lunar", natalMoon, fromJd);
+
+  assert.ok(result.julianDay >= fromJd && result.julianDay < fromJd + 27.33);
+  assert.ok(Math.abs(signedArc(natalMoon, result.longitude)) < 1e-6);
+});
+
+test("consecutive solar returns are a year apart", () => {
+  const natalSun = bodyPosition(natalJd, sweph.SE_SUN).longitude;
+  const first = findReturn("solar", natalSun, natalJd + 1);
+  const second = findReturn("solar", natalSun, first.julianDay + 1);
+  assert.ok(Math.abs(first.julianDay - natalJd - 365.2422) < 0.1);
+  assert.ok(Math.abs(second.julianDay - first.julianDay - 365.2422) < 0.1);
+});
@@ -0,0 +1,117 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const sweph = require("swisseph");
+const { DateTime } = require("luxon");
+const {
+  findLunarPhases,
+  findEclipses,
+  findVoidOfCourse,
+  findSkyEvents,
+} = require("../lib/skyEvents");
+const { initEphemeris, toJulianDay, calcBody } = require("../lib/ephemeris");
+const { signedArc } = require("../lib/zodiac");
+
+const julianDay = (iso) => toJulianDay(DateTime.fromISO(iso, { zone: "utc" }));
+const start2024 = julianDay("2024-01-01");
+const end2024 = julianDay("2025-01-01");
+
+// initEphemeris() again before each direct calculation, as the library does.
+const bodyLongitude = (jd, bodyId) => {
+  initEphemeris();
+  return calcBody(jd, bodyId, 0).longitude;
+};
+
+test("lunar phases fall at exact Moon-Sun elongations", () => {
+  const phases = findLunarPhases(julianDay("2024-01-01"), julianDay("2024-02-01"));
+  assert.deepEqual(
+    phases.map((phase) => [phase.phase, phase.date.slice(0, 16)]),
+    [
+      ["last quarter", "2024-01-04T03:30"],
+      ["new moon", "2024-01-11T11:57"],
+      ["first quarter", "2024-01-18T03:52"],
+      ["full moon", "2024-01-25T17:54"],
+    ]
+  );
+  const targets = { "new moon": 0, "first quarter": 90, "full moon": 180, "last quarter": 270 };
+  for (const phase of phases) {
+    const elongation = signedArc(
+      bodyLongitude(phase.julianDay, sweph.SE_SUN),
+      bodyLongitude(phase.julianDay, sweph.SE_MOON)
+    );
+    // Within a minute of the Moon's relative motion (about 0.01°).
+    assert.ok(Math.abs(signedArc(targets[phase.phase], elongation)) < 0.01);
+  }
+});
+
+test("the 2024 eclipses are found with their types and saros series", () => {
+  const eclipses = findEclipses(start2024, end2024);
+  assert.deepEqual(
+    eclipses.map((eclipse) => [eclipse.kind, eclipse.type, eclipse.date.slice(0, 10)]),
+    [
+      ["lunar", "penumbral", "2024-03-25"],
+      ["solar", "total", "2024-04-08"],
+      ["lunar", "partial", "2024-09-18"],
+      ["solar", "annular", "2024-10-02"],
+    ]
+  );
+  assert.equal(eclipses[1].saros.series, 139);
+  // Greatest eclipse of the great North American eclipse.
+  assert.equal(eclipses[1].date.slice(11, 16), "18:17");
+});
+
+test("void-of-course windows end as the Moon changes sign", () => {
+  const windows = findVoidOfCourse(julianDay("2024-01-01"), julianDay("2024-02-01"));
+  assert.ok(windows.length >= 10);
+  assert.deepEqual(windows[0].lastAspect, {
+    planet: "Pluto",
+    angle: 120,
+    date: windows[0].startDate,
+  });
+  for (const window of windows) {
+    assert.ok(window.startDate < window.endDate);
+    const intoSign = bodyLongitude(julianDay(window.endDate), sweph.SE_MOON) % 30;
+    // Within a minute of the ingress (the Moon moves about 0.01° a minute).
+    assert.ok(Math.min(intoSign, 30 - intoSign) < 0.01);
+  }
+  const traditional = findVoidOfCourse(
+    julianDay("2024-01-01"),
+    julianDay("2024-02-01"),
+    0,
+    "traditional"
+  );
+  // Without the outer planets the Moon's last aspect comes earlier, so the windows are longer.
+  const hours = (list) => list.reduce((sum, window) => sum + window.durationHours, 0);
+  assert.ok(hours(traditional) > hours(windows));
+});
+
+test("findSkyEvents lists a year's events by type", () => {
+  const events = findSkyEvents(start2024, end2024);
+  assert.deepEqual(
+    Object.fromEntries(Object.entries(events).map(([type, list]) => [type, list.length])),
+    { lunarPhases: 50, eclipses: 4, ingresses: 212, voidOfCourse: 160 }
+  );
+  for (const list of Object.values(events)) {
+    const days = list.map((event) => event.julianDay);
+    assert.deepEqual(days, [...days].sort((a, b) => a - b));
+  }
+  for (const ingress of events.ingresses) {
+    assert.equal(ingress.longitude % 30, 0);
+  }
+});
+
+test("findSkyEvents filters by type and relates events to a natal chart", () => {
+  const natalChart = {
+    positions: { Sun: { longitude: 19.5 } },
+    houses: { cusps: [0, 30, 60, 90, 120, 150, 180, 210, 240, 270, 300, 330] },
+  };
+  const events = findSkyEvents(start2024, end2024, {
+    include: ["eclipses"],
+    natalChart,
+  });
+  assert.deepEqual(Object.keys(events), ["eclipses"]);
+  // The April 8 eclipse at 19° Aries falls on the natal Sun, in the first house.
+  const { natal } = events.eclipses[1];
+  assert.equal(natal.house, 1);
+  assert.equal(natal.aspects[0].planet2, "Sun");
+  assert.equal(natal.aspects[0].aspect, "conjunction");
+});
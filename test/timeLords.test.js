@@ -0,0 +1,128 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { DateTime } = require("luxon");
+const { calculateProfections, calculateFirdaria } = require("../lib/timeLords");
+const { getZodiacSign } = require("../lib/zodiac");
+
+const birth = DateTime.fromISO("1990-01-01T12:00:00Z", { zone: "utc" });
+
+const position = (longitude) => ({ longitude, sign: getZodiacSign(longitude).sign });
+
+// The Ascendant at 0° Aries with equal houses. The Sun at 0° Capricorn is above
+// the horizon (a day chart); at 0° Cancer it is below (a night chart).
+const buildChart = ({ sun = 270, date = birth } = {}) => ({
+  meta: { date: date.toFormat("yyyy-MM-dd HH:mm:ss") },
+  positions: {
+    Sun: position(sun),
+    Moon: position(45),
+    Mars: position(200),
+    Venus: position(50),
+  },
+  houses: {
+    ascendant: 0,
+    mc: 270,
+    cusps: Array.from({ length: 12 }, (_, i) => i * 30),
+  },
+});
+
+test("annual profections advance one sign a year from the Ascendant", () => {
+  const years = calculateProfections(buildChart(), {
+    startDate: birth,
+    endDate: birth.plus({ years: 13 }),
+  });
+  assert.deepEqual(
+    years.slice(0, 3).map((year) => [year.age, year.sign, year.house, year.lord]),
+    [
+      [0, "Aries", 1, "Mars"],
+      [1, "Taurus", 2, "Venus"],
+      [2, "Gemini", 3, "Mercury"],
+    ]
+  );
+  assert.equal(years[12].sign, "Aries");
+  assert.deepEqual(years[0].lordNatal, { sign: "Libra", house: 7 });
+  assert.deepEqual(years[1].planetsInSign, ["Moon", "Venus"]);
+});
+
+test("monthly profections advance one sign a month within the year", () => {
+  const [year] = calculateProfections(buildChart(), {
+    startDate: birth.plus({ years: 1 }),
+    endDate: birth.plus({ years: 1, days: 1 }),
+  });
+  assert.equal(year.age, 1);
+  assert.equal(year.months.length, 12);
+  assert.deepEqual(
+    year.months.slice(0, 3).map((month) => month.sign),
+    ["Taurus", "Gemini", "Cancer"]
+  );
+  assert.equal(year.months[0].startDate, year.startDate);
+  assert.equal(year.months[11].endDate, year.endDate);
+});
+
+test("a 29 February birthday comes back on the 29th in leap years", () => {
+  const leapBirth = DateTime.fromISO("2000-02-29T12:00:00Z", { zone: "utc" });
+  const years = calculateProfections(buildChart({ date: leapBirth }), {
+    startDate: leapBirth,
+    endDate: leapBirth.plus({ years: 5 }),
+  });
+  assert.deepEqual(
+    years.map((year) => year.startDate.slice(0, 10)),
+    ["2000-02-29", "2001-02-28", "2002-02-28", "2003-02-28", "2004-02-29"]
+  );
+});
+
+test("day firdaria start with the Sun and split planetary periods in Chaldean order", () => {
+  const { sect, periods } = calculateFirdaria(buildChart(), {
+    startDate: birth,
+    endDate: birth.plus({ years: 75 }),
+  });
+  assert.equal(sect, "day");
+  assert.deepEqual(
+    periods.map((period) => period.lord),
+    ["Sun", "Venus", "Mercury", "Moon", "Saturn", "Jupiter", "Mars", "North Node", "South Node"]
+  );
+  assert.deepEqual(
+    periods[0].subPeriods.map((period) => period.lord),
+    ["Sun", "Venus", "Mercury", "Moon", "Saturn", "Jupiter", "Mars"]
+  );
+  // Seven equal parts of the Sun's ten years.
+  const sunDays = DateTime.fromISO(periods[0].endDate).diff(birth, "days").days;
+  const firstDays = DateTime.fromISO(periods[0].subPeriods[0].endDate).diff(birth, "days").days;
+  assert.ok(Math.abs(firstDays - sunDays / 7) < 0.001);
+  assert.equal(periods[0].subPeriods[6].endDate, periods[0].endDate);
+  assert.deepEqual(periods[7].subPeriods, []);
+  assert.equal(periods[7].startDate, birth.plus({ years: 70 }).toISO());
+});
+
+test("night firdaria place the nodes last, or after Mars for Bonatti", () => {
+  const chart = buildChart({ sun: 90 });
+  const window = { startDate: birth, endDate: birth.plus({ years: 75 }) };
+
+  const abuMashar = calculateFirdaria(chart, window);
+  assert.equal(abuMashar.sect, "night");
+  assert.deepEqual(
+    abuMashar.periods.map((period) => period.lord),
+    ["Moon", "Saturn", "Jupiter", "Mars", "Sun", "Venus", "Mercury", "North Node", "South Node"]
+  );
+
+  const bonatti = calculateFirdaria(chart, { ...window, variant: "bonatti" });
+  assert.deepEqual(
+    bonatti.periods.map((period) => period.lord),
+    ["Moon", "Saturn", "Jupiter", "Mars", "North Node", "South Node", "Sun", "Venus", "Mercury"]
+  );
+  // Moon 9 + Saturn 11 + Jupiter 12 + Mars 7 years.
+  assert.equal(bonatti.periods[4].startDate, birth.plus({ years: 39 }).toISO());
+});
+
+test("the firdaria start over after 75 years", () => {
+  const { periods } = calculateFirdaria(buildChart(), {
+    startDate: birth.plus({ years: 74 }),
+    endDate: birth.plus({ years: 76 }),
+  });
+  assert.deepEqual(
+    periods.map((period) => [period.lord, period.startDate.slice(0, 4)]),
+    [
+      ["South Node", "2063"],
+      ["Sun", "2065"],
+    ]
+  );
+});
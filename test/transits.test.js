@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { DateTime } = require("luxon");
+const { findTransitHits } = require("../lib/transits");
+const { toJulianDay } = require("../lib/ephemeris");
+const { signedArc } = require("../lib/zodiac");
+
+const julianDay = (iso) => toJulianDay(DateTime.fromISO(iso, { zone: "utc" }));
+
+// A single natal point at 15° Pisces.
+const natalChart = {
+  meta: { inputs: {} },
+  positions: { Point: { longitude: 345 } },
+};
+
+test("the Sun makes each major aspect to a point once a year", () => {
+  const hits = findTransitHits(natalChart, julianDay("2024-01-01"), julianDay("2024-12-31"), {
+    bodies: ["Sun"],
+  });
+
+  // Sextiles, squares and trines fall on both sides of the point.
+  assert.deepEqual(
+    hits.map((hit) => [hit.aspect, hit.exactDate.slice(0, 10)]),
+    [
+      ["sextile", "2024-01-05"],
+      ["conjunction", "2024-03-05"],
+      ["sextile", "2024-05-05"],
+      ["square", "2024-06-05"],
+      ["trine", "2024-07-06"],
+      ["opposition", "2024-09-07"],
+      ["trine", "2024-11-06"],
+      ["square", "2024-12-06"],
+    ]
+  );
+  for (const hit of hits) {
+    const arc = Math.abs(signedArc(hit.natalLongitude, hit.transitLongitude));
+    // The Sun moves about 0.0007° a minute, the search precision.
+    assert.ok(Math.abs(arc - hit.angle) < 0.001);
+    assert.equal(hit.pass, 1);
+    assert.equal(hit.passes, 1);
+  }
+});
+
+test("the orb window brackets the exact hit", () => {
+  const [hit] = findTransitHits(natalChart, julianDay("2024-03-01"), julianDay("2024-03-10"), {
+    bodies: ["Sun"],
+    aspects: ["conjunction"],
+  });
+  // About a day either side of exact for a 1° orb.
+  const exact = DateTime.fromISO(hit.exactDate);
+  const entry = exact.diff(DateTime.fromISO(hit.entryDate), "days").days;
+  const exit = DateTime.fromISO(hit.exitDate).diff(exact, "days").days;
+  assert.ok(entry > 0.9 && entry < 1.1);
+  assert.ok(exit > 0.9 && exit < 1.1);
+});
+
+test("a retrograde loop shows as separate hits or passes of one transit", () => {
+  // Saturn crosses 15° Pisces direct, retrograde, then direct again.
+  const range = [julianDay("2024-01-01"), julianDay("2025-06-01")];
+  const options = { bodies: ["Saturn"], aspects: ["conjunction"] };
+
+  const separate = findTransitHits(natalChart, ...range, options);
+  assert.deepEqual(
+    separate.map((hit) => [hit.exactDate.slice(0, 10), hit.retrograde, hit.pass, hit.passes]),
+    [
+      ["2024-04-13", false, 1, 1],
+      ["2024-09-21", true, 1, 1],
+      ["2025-01-06", false, 1, 1],
+    ]
+  );
+
+  // With a wide orb Saturn never leaves orb between the crossings.
+  const passes = findTransitHits(natalChart, ...range, { ...options, orb: 5 });
+  assert.deepEqual(
+    passes.map((hit) => [hit.retrograde, hit.pass, hit.passes]),
+    [
+      [false, 1, 3],
+      [true, 2, 3],
+      [false, 3, 3],
+    ]
+  );
+  assert.equal(new Set(passes.map((hit) => hit.entryDate)).size, 1);
+  assert.equal(new Set(passes.map((hit) => hit.exitDate)).size, 1);
+});
+
+test("a search stops once it passes its hit limit", () => {
+  const hits = findTransitHits(natalChart, julianDay("2024-01-01"), julianDay("2024-12-31"), {
+    bodies: ["Sun"],
+    limit: 3,
+  });
+  // The full search finds eight hits.
+  assert.ok(hits.length > 3 && hits.length < 8);
+});